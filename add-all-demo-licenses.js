@@ -1,6 +1,7 @@
 import Database from './database.js';
+import config from './config.js';
 
-const db = new Database();
+const db = Database.create(config);
 
 async function addAllDemoLicenses() {
   try {
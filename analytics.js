@@ -0,0 +1,108 @@
+// Copy performance statistics for masters and receivers
+
+const DAY = 24 * 60 * 60;
+
+const round = (value, digits = 2) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+class Analytics {
+  // Parse ?period=30d or ?from=&to= (ISO dates or unix seconds) into a
+  // [from, to) range in unix seconds; the default end includes the current
+  // second. Returns { from, to } or { error }.
+  static parsePeriod(query, now = Math.floor(Date.now() / 1000) + 1) {
+    const toSeconds = (value) => {
+      const time = /^\d+$/.test(value) ? parseInt(value) * 1000 : Date.parse(value);
+      return Number.isNaN(time) ? null : Math.floor(time / 1000);
+    };
+
+    if (query.from || query.to) {
+      const from = query.from ? toSeconds(query.from) : 0;
+      const to = query.to ? toSeconds(query.to) : now;
+      if (from === null || to === null || from >= to) {
+        return { error: 'from and to must be dates or unix timestamps, from before to' };
+      }
+      return { from, to };
+    }
+
+    const match = /^(\d{1,3})d$/.exec(query.period || '30d');
+    const days = match ? parseInt(match[1]) : 0;
+    if (days < 1 || days > 365) {
+      return { error: 'period must be 1d to 365d' };
+    }
+    return { from: now - days * DAY, to: now };
+  }
+
+  // Summarize signals (one per master trade or receiver copy: { time, profit })
+  // and execution reports ({ time, status, slippage, delay }). Realized P&L,
+  // win rate and drawdown come from the signals that carry a profit, i.e.
+  // closes. Returns { summary, daily }.
+  static compute(signals, reports) {
+    const executed = reports.filter(report => report.status === 'filled' || report.status === 'partial');
+    const rejected = reports.filter(report => report.status === 'rejected');
+    const closes = signals.filter(signal => signal.profit !== null && signal.profit !== undefined)
+      .sort((a, b) => a.time - b.time);
+
+    let pnl = 0;
+    let peak = 0;
+    let maxDrawdown = 0;
+    for (const close of closes) {
+      pnl += close.profit;
+      peak = Math.max(peak, pnl);
+      maxDrawdown = Math.max(maxDrawdown, peak - pnl);
+    }
+
+    const slippages = executed.map(report => report.slippage).filter(value => value !== null && value !== undefined);
+    const delays = reports.map(report => report.delay).filter(value => value !== null && value !== undefined);
+
+    return {
+      summary: {
+        signals: signals.length,
+        reported: reports.length,
+        executed: executed.length,
+        rejected: rejected.length,
+        successRate: reports.length > 0 ? round(executed.length / reports.length, 4) : null,
+        avgSlippage: round(average(slippages)),
+        avgDelaySeconds: round(average(delays)),
+        closedTrades: closes.length,
+        realizedPnl: round(pnl),
+        winRate: closes.length > 0 ? round(closes.filter(close => close.profit > 0).length / closes.length, 4) : null,
+        maxDrawdown: round(maxDrawdown)
+      },
+      daily: Analytics.daily(signals, reports)
+    };
+  }
+
+  // Per UTC day counts and realized P&L, oldest first
+  static daily(signals, reports) {
+    const days = new Map();
+    const bucket = (time) => {
+      const date = new Date(Math.floor(time / DAY) * DAY * 1000).toISOString().slice(0, 10);
+      if (!days.has(date)) {
+        days.set(date, { date, signals: 0, executed: 0, rejected: 0, realizedPnl: 0 });
+      }
+      return days.get(date);
+    };
+
+    for (const signal of signals) {
+      const day = bucket(signal.time);
+      day.signals++;
+      if (signal.profit !== null && signal.profit !== undefined) {
+        day.realizedPnl += signal.profit;
+      }
+    }
+    for (const report of reports) {
+      const day = bucket(report.time);
+      if (report.status === 'rejected') {
+        day.rejected++;
+      } else {
+        day.executed++;
+      }
+    }
+
+    return [...days.values()]
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map(day => ({ ...day, realizedPnl: round(day.realizedPnl) }));
+  }
+}
+
+export default Analytics;
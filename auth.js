@@ -1,8 +1,147 @@
 import crypto from 'crypto';
+import fs from 'fs';
+
+// scrypt parameters for admin passwords (N=2^15, r=8, p=1)
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+const SCRYPT_KEYLEN = 64;
+
+// Cookie carrying the admin session token for browser dashboards
+const SESSION_COOKIE = 'sp_session';
+
+// Accepted clock skew on signed master requests; nonces are kept this long
+const SIGNATURE_TOLERANCE = 300; // 5 minutes
+
+// Offline license tokens are signed with Ed25519 so EAs only need the public key
+const LICENSE_TOKEN_ALG = 'EdDSA';
+
+// Permissions granted to each admin role. 'admin' is the role of accounts
+// created before roles existed and of the raw API secret; it keeps full access.
+const ROLE_PERMISSIONS = {
+  owner: ['*'],
+  admin: ['*'],
+  support: [
+    'licenses:read',
+    'devices:manage',
+    'logs:read',
+    'trades:read',
+    'receivers:read',
+    'receivers:manage'
+  ],
+  'read-only': [
+    'licenses:read',
+    'logs:read',
+    'trades:read',
+    'receivers:read'
+  ]
+};
 
 class Auth {
-  constructor(secretKey) {
-    this.secretKey = secretKey || process.env.API_SECRET || 'change-this-secret';
+  constructor(secretKey, db = null, options = {}) {
+    // Comes from config.apiSecret; a missing secret would sign tokens with a known value
+    if (!secretKey) {
+      throw new Error('Auth requires an API secret');
+    }
+    this.secretKey = secretKey;
+    // Session lookups need the database; without it only the secret and tokens work
+    this.db = db;
+    this.allowSecret = options.allowSecret !== false;
+    // Private key for offline license tokens, see loadLicenseSigningKey
+    this.licenseKey = options.licenseSigningKey || null;
+    this.licensePublicKey = this.licenseKey ? Auth.describePublicKey(this.licenseKey) : null;
+  }
+
+  // Load the Ed25519 private key for license tokens from PEM text, or from a
+  // file that is created with a new key on first start
+  static loadLicenseSigningKey({ pem, file }) {
+    if (pem) {
+      return crypto.createPrivateKey(pem);
+    }
+
+    if (fs.existsSync(file)) {
+      return crypto.createPrivateKey(fs.readFileSync(file));
+    }
+
+    const { privateKey } = crypto.generateKeyPairSync('ed25519');
+    fs.writeFileSync(file, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+    console.log(`🔑 Generated license signing key: ${file}`);
+    return privateKey;
+  }
+
+  static get sessionCookie() {
+    return SESSION_COOKIE;
+  }
+
+  static get roles() {
+    return Object.keys(ROLE_PERMISSIONS);
+  }
+
+  // Check whether a role grants a permission
+  static hasPermission(role, permission) {
+    const granted = ROLE_PERMISSIONS[role] || [];
+    return granted.includes('*') || granted.includes(permission);
+  }
+
+  static permissionsFor(role) {
+    return ROLE_PERMISSIONS[role] || [];
+  }
+
+  // Generate admin session token
+  static generateSessionToken() {
+    return crypto.randomBytes(32).toString('base64url');
+  }
+
+  // Session tokens are stored hashed so a leaked database cannot be replayed
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // Hash password as scrypt$N$r$p$salt$hash
+  static hashPassword(password) {
+    return new Promise((resolve, reject) => {
+      const salt = crypto.randomBytes(16);
+      crypto.scrypt(password, salt, SCRYPT_KEYLEN, SCRYPT_PARAMS, (err, derived) => {
+        if (err) {
+          reject(err);
+        } else {
+          const { N, r, p } = SCRYPT_PARAMS;
+          resolve(`scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${derived.toString('base64')}`);
+        }
+      });
+    });
+  }
+
+  // Verify password against a stored scrypt hash
+  static verifyPassword(password, storedHash) {
+    return new Promise((resolve) => {
+      const parts = typeof storedHash === 'string' ? storedHash.split('$') : [];
+      if (parts.length !== 6 || parts[0] !== 'scrypt') {
+        return resolve(false);
+      }
+
+      const [, N, r, p, saltB64, hashB64] = parts;
+      const expected = Buffer.from(hashB64, 'base64');
+      const params = { N: parseInt(N), r: parseInt(r), p: parseInt(p), maxmem: SCRYPT_PARAMS.maxmem };
+
+      crypto.scrypt(password, Buffer.from(saltB64, 'base64'), expected.length, params, (err, derived) => {
+        resolve(!err && crypto.timingSafeEqual(derived, expected));
+      });
+    });
+  }
+
+  // Read a cookie value from the raw Cookie header
+  static readCookie(req, name) {
+    const header = req.headers['cookie'];
+    if (!header) {
+      return null;
+    }
+
+    for (const part of header.split(';')) {
+      const [key, ...rest] = part.trim().split('=');
+      if (key === name) {
+        return decodeURIComponent(rest.join('='));
+      }
+    }
+    return null;
   }
 
   // Generate secure API key
@@ -17,10 +156,72 @@ class Auth {
     return `SP-${timestamp}-${random}`;
   }
 
-  // Verify API key
-  verifyAPIKey(apiKey) {
-    // In production, check against database
-    return apiKey && apiKey.length > 16;
+  // Verify a master API key against the database. Keys bound to an account only
+  // work for that account. Returns the key record or null.
+  async verifyAPIKey(apiKey, accountNumber = null) {
+    if (!apiKey || typeof apiKey !== 'string' || !this.db) {
+      return null;
+    }
+
+    const key = await this.db.getMasterApiKeyByHash(Auth.hashToken(apiKey));
+    if (!key || key.status !== 'active') {
+      return null;
+    }
+
+    if (key.account_number && accountNumber !== undefined && accountNumber !== null &&
+        String(key.account_number) !== String(accountNumber)) {
+      return null;
+    }
+
+    await this.db.touchMasterApiKey(key.id);
+    return key;
+  }
+
+  // Generate the HMAC secret handed out alongside a master API key
+  static generateSigningSecret() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  // Signature of a master request: hex HMAC-SHA256 over
+  // "<timestamp>\n<nonce>\n<METHOD>\n<path>\n<body>"
+  static signRequest(secret, timestamp, nonce, method, path, body = '') {
+    return crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}\n${nonce}\n${method.toUpperCase()}\n${path}\n${body}`)
+      .digest('hex');
+  }
+
+  // Verify a signed master request. The timestamp must be recent and each nonce
+  // is accepted once per key, so a captured request cannot be replayed.
+  // Returns { key } or { error }.
+  async verifySignedRequest({ keyId, timestamp, nonce, signature, method, path, body }) {
+    if (!this.db || !keyId || !timestamp || !nonce || !signature) {
+      return { error: 'Incomplete request signature' };
+    }
+
+    const key = await this.db.getMasterApiKeyById(parseInt(keyId));
+    if (!key || key.status !== 'active' || !key.signing_secret) {
+      return { error: 'Invalid or revoked API key' };
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const ts = parseInt(timestamp);
+    if (!Number.isInteger(ts) || Math.abs(now - ts) > SIGNATURE_TOLERANCE) {
+      return { error: 'Request timestamp outside allowed window' };
+    }
+
+    const expected = Buffer.from(Auth.signRequest(key.signing_secret, timestamp, nonce, method, path, body));
+    const received = Buffer.from(String(signature));
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return { error: 'Invalid request signature' };
+    }
+
+    if (!(await this.db.useNonce(key.id, String(nonce), now + SIGNATURE_TOLERANCE))) {
+      return { error: 'Replayed request' };
+    }
+
+    await this.db.touchMasterApiKey(key.id);
+    return { key };
   }
 
   // Hash license key for verification
@@ -30,27 +231,70 @@ class Auth {
 
   // Generate JWT-like token for short-term auth
   generateToken(payload, expiryMinutes = 60) {
-    const header = {
-      alg: 'HS256',
-      typ: 'JWT'
-    };
-
     const now = Math.floor(Date.now() / 1000);
-    const payloadObj = {
-      ...payload,
-      iat: now,
-      exp: now + (expiryMinutes * 60)
-    };
+    return Auth.encodeToken(
+      { alg: 'HS256', typ: 'JWT' },
+      { ...payload, iat: now, exp: now + (expiryMinutes * 60) },
+      (data) => crypto.createHmac('sha256', this.secretKey).update(data).digest('base64url')
+    );
+  }
 
+  static encodeToken(header, payload, sign) {
     const headerB64 = Buffer.from(JSON.stringify(header)).toString('base64url');
-    const payloadB64 = Buffer.from(JSON.stringify(payloadObj)).toString('base64url');
+    const payloadB64 = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${headerB64}.${payloadB64}.${sign(`${headerB64}.${payloadB64}`)}`;
+  }
 
-    const signature = crypto
-      .createHmac('sha256', this.secretKey)
-      .update(`${headerB64}.${payloadB64}`)
-      .digest('base64url');
+  // Public half of a license signing key as PEM, with its key id
+  static describePublicKey(privateKey) {
+    const publicKey = crypto.createPublicKey(privateKey);
+    const der = publicKey.export({ type: 'spki', format: 'der' });
+    return {
+      alg: LICENSE_TOKEN_ALG,
+      kid: crypto.createHash('sha256').update(der).digest('hex').slice(0, 16),
+      key: publicKey,
+      pem: publicKey.export({ type: 'spki', format: 'pem' })
+    };
+  }
 
-    return `${headerB64}.${payloadB64}.${signature}`;
+  // Sign an offline license token. The caller sets exp; iat is added here.
+  generateLicenseToken(payload) {
+    const header = { alg: LICENSE_TOKEN_ALG, typ: 'JWT', kid: this.licensePublicKey.kid };
+    return Auth.encodeToken(
+      header,
+      { ...payload, iat: Math.floor(Date.now() / 1000) },
+      (data) => crypto.sign(null, Buffer.from(data), this.licenseKey).toString('base64url')
+    );
+  }
+
+  // Verify an offline license token's signature and expiry. Returns the payload or null.
+  verifyLicenseToken(token) {
+    try {
+      const parts = typeof token === 'string' ? token.split('.') : [];
+      if (parts.length !== 3) {
+        return null;
+      }
+
+      const [headerB64, payloadB64, signature] = parts;
+      const header = JSON.parse(Buffer.from(headerB64, 'base64url').toString());
+      if (header.alg !== LICENSE_TOKEN_ALG) {
+        return null;
+      }
+
+      const data = Buffer.from(`${headerB64}.${payloadB64}`);
+      const valid = crypto.verify(null, data, this.licensePublicKey.key, Buffer.from(signature, 'base64url'));
+      if (!valid) {
+        return null;
+      }
+
+      const payload = JSON.parse(Buffer.from(payloadB64, 'base64url').toString());
+      if (payload.typ !== 'license' || payload.exp < Math.floor(Date.now() / 1000)) {
+        return null;
+      }
+      return payload;
+    } catch (error) {
+      return null;
+    }
   }
 
   // Verify token
@@ -94,53 +338,155 @@ class Auth {
   }
 
   // Middleware for authentication
-  authenticate(req, res, next) {
+  async authenticate(req, res, next) {
     const token = req.headers['authorization']?.replace('Bearer ', '') || 
-                  req.headers['x-api-key'];
+                  req.headers['x-api-key'] ||
+                  Auth.readCookie(req, SESSION_COOKIE);
 
     if (!token) {
       return res.status(401).json({ error: 'No authentication token provided' });
     }
 
-    // Check if it's the raw API secret (for dashboard compatibility)
-    if (token === this.secretKey) {
-      req.auth = { type: 'api_secret', role: 'admin' };
-      return next();
+    try {
+      const auth = await this.resolveToken(token);
+      if (!auth) {
+        return res.status(401).json({ error: 'Invalid or expired token' });
+      }
+      req.auth = auth;
+      next();
+    } catch (err) {
+      console.error('Session lookup error:', err);
+      return res.status(500).json({ error: 'Authentication failed' });
+    }
+  }
+
+  // Resolve an admin credential (API secret, session token or JWT) to its
+  // auth details, or null. Shared by the HTTP middleware and admin WebSockets.
+  async resolveToken(token) {
+    // Check if it's the raw API secret (for dashboard compatibility). It acts
+    // with the full admin role, every permission included.
+    if (this.allowSecret && token === this.secretKey) {
+      return { type: 'api_secret', role: 'admin' };
+    }
+
+    // Admin login session
+    if (this.db) {
+      const tokenHash = Auth.hashToken(token);
+      const session = await this.db.getSession(tokenHash);
+      if (session) {
+        return {
+          type: 'session',
+          userId: session.user_id,
+          username: session.username,
+          role: session.role,
+          sessionHash: tokenHash,
+          expiresAt: session.expires_at
+        };
+      }
     }
 
     // Try to verify as JWT token
-    const payload = this.verifyToken(token);
-    if (!payload) {
-      return res.status(401).json({ error: 'Invalid or expired token' });
+    return this.verifyToken(token);
+  }
+
+  // Middleware for master bot routes. Requests are either signed (x-sp-key-id,
+  // x-sp-timestamp, x-sp-nonce and x-sp-signature headers) or carry the key in
+  // the x-master-key header or apiKey body field. Keys created as signed-only
+  // reject the unsigned form.
+  async authenticateMaster(req, res, next) {
+    try {
+      let key;
+
+      if (req.headers['x-sp-signature']) {
+        const result = await this.verifySignedRequest({
+          keyId: req.headers['x-sp-key-id'],
+          timestamp: req.headers['x-sp-timestamp'],
+          nonce: req.headers['x-sp-nonce'],
+          signature: req.headers['x-sp-signature'],
+          method: req.method,
+          path: req.originalUrl,
+          body: req.rawBody || ''
+        });
+        if (result.error) {
+          return res.status(401).json({ success: false, message: result.error });
+        }
+        key = result.key;
+      } else {
+        const apiKey = req.headers['x-master-key'] || (req.body && req.body.apiKey);
+        if (!apiKey) {
+          return res.status(401).json({ success: false, message: 'Master API key required' });
+        }
+
+        key = await this.verifyAPIKey(apiKey);
+        if (!key) {
+          return res.status(401).json({ success: false, message: 'Invalid or revoked API key' });
+        }
+        if (key.signed_only) {
+          return res.status(401).json({ success: false, message: 'Signed requests required for this key' });
+        }
+      }
+
+      const accountNumber = req.body && req.body.accountNumber;
+      if (key.account_number && accountNumber !== undefined && accountNumber !== null &&
+          String(key.account_number) !== String(accountNumber)) {
+        return res.status(401).json({ success: false, message: 'API key not valid for this account' });
+      }
+
+      req.master = { keyId: key.id, label: key.label, accountNumber: key.account_number };
+      next();
+    } catch (err) {
+      console.error('Master authentication error:', err);
+      res.status(500).json({ success: false, message: 'Authentication failed' });
     }
+  }
 
-    req.auth = payload;
-    next();
+  // Middleware for authorization (use after authenticate)
+  authorize(permission) {
+    return (req, res, next) => {
+      const role = req.auth && req.auth.role;
+      if (!Auth.hasPermission(role, permission)) {
+        return res.status(403).json({ error: 'Insufficient permissions', permission });
+      }
+      next();
+    };
   }
 
   // Rate limiting (simple in-memory implementation)
-  createRateLimiter(requestsPerMinute = 60) {
+  // Express middleware allowing `limit` requests per window for each key that
+  // keyFor(req) returns (the client IP by default); requests without a key
+  // pass. Over the limit it answers 429 with Retry-After.
+  createRateLimiter({ limit = 60, windowMs = 60000, keyFor = null } = {}) {
     const requests = new Map();
+    const clientIp = (req) => req.ip || (req.socket && req.socket.remoteAddress) || 'unknown';
+    let nextSweep = Date.now() + windowMs;
 
     return (req, res, next) => {
-      const ip = req.ip || (req.socket && req.socket.remoteAddress) || 'unknown';
-      const now = Date.now();
-      
-      if (!requests.has(ip)) {
-        requests.set(ip, { count: 1, resetTime: now + 60000 });
+      const key = keyFor ? keyFor(req) : clientIp(req);
+      if (!key) {
         return next();
       }
 
-      const record = requests.get(ip);
-      
-      if (now > record.resetTime) {
-        record.count = 1;
-        record.resetTime = now + 60000;
+      const now = Date.now();
+      if (now > nextSweep) {
+        // Forget finished windows so the map only holds recent clients
+        for (const [entry, record] of requests) {
+          if (now > record.resetTime) {
+            requests.delete(entry);
+          }
+        }
+        nextSweep = now + windowMs;
+      }
+
+      const record = requests.get(key);
+      if (!record || now > record.resetTime) {
+        requests.set(key, { count: 1, resetTime: now + windowMs });
         return next();
       }
 
-      if (record.count >= requestsPerMinute) {
-        return res.status(429).json({ error: 'Too many requests' });
+      if (record.count >= limit) {
+        const retryAfter = Math.ceil((record.resetTime - now) / 1000);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({ success: false, code: 'RATE_LIMITED', message: 'Too many requests', retryAfter });
       }
 
       record.count++;
@@ -1,43 +1,202 @@
+import fs from 'fs';
 import dotenv from 'dotenv';
+import proxyaddr from 'proxy-addr';
 
 dotenv.config();
 
-const config = {
+// Every setting the server reads. Values come from the environment, then the
+// optional JSON file named by CONFIG_FILE (keyed by the names below), then the
+// default. Durations are in the unit their name or comment says.
+
+const DEFAULT_SECRETS = ['change-this-secret-key', 'change-this-secret-key-in-production', 'change-this-secret'];
+
+const schema = {
   // Server
-  port: parseInt(process.env.PORT) || 8080,
-  nodeEnv: process.env.NODE_ENV || 'development',
-  
+  port: { env: 'PORT', type: 'int', default: 8080, min: 1, max: 65535 },
+  nodeEnv: { env: 'NODE_ENV', type: 'enum', values: ['development', 'production', 'test'], default: 'development' },
+  trustProxy: { env: 'TRUST_PROXY', type: 'proxy', default: false }, // reverse proxies in front of the server
+
   // Security
-  apiSecret: process.env.API_SECRET || 'change-this-secret-key',
-  
-  // Database
-  dbType: process.env.DB_TYPE || 'sqlite',
-  dbHost: process.env.DB_HOST || 'localhost',
-  dbPort: parseInt(process.env.DB_PORT) || 3306,
-  dbName: process.env.DB_NAME || 'silverpro',
-  dbUser: process.env.DB_USER,
-  dbPass: process.env.DB_PASS,
-  
+  apiSecret: { env: 'API_SECRET', type: 'string', default: 'change-this-secret-key' },
+  allowSecretAuth: { env: 'ALLOW_SECRET_AUTH', type: 'bool', default: true },
+  licenseSigningKey: { env: 'LICENSE_SIGNING_KEY', type: 'string' },
+  licenseSigningKeyFile: { env: 'LICENSE_SIGNING_KEY_FILE', type: 'string', default: 'license-signing-key.pem' },
+  licenseTokenTtl: { env: 'LICENSE_TOKEN_TTL', type: 'int', default: 60 * 60, min: 60 }, // seconds
+  licenseGracePeriod: { env: 'LICENSE_GRACE_PERIOD', type: 'int', default: 72 * 60 * 60, min: 0 }, // seconds
+
+  // Database (DB_PATH for sqlite, host/port/name/user/pass for postgres)
+  dbType: { env: 'DB_TYPE', type: 'enum', values: ['sqlite', 'postgres'], default: 'sqlite' },
+  dbPath: { env: 'DB_PATH', type: 'string', default: './silverpro.db' },
+  dbHost: { env: 'DB_HOST', type: 'string', default: 'localhost' },
+  dbPort: { env: 'DB_PORT', type: 'int', default: 5432, min: 1, max: 65535 },
+  dbName: { env: 'DB_NAME', type: 'string', default: 'silverpro' },
+  dbUser: { env: 'DB_USER', type: 'string' },
+  dbPass: { env: 'DB_PASS', type: 'string' },
+  dbPoolSize: { env: 'DB_POOL_SIZE', type: 'int', default: 10, min: 1 }, // postgres connections
+  autoMigrate: { env: 'AUTO_MIGRATE', type: 'bool', default: true },
+
   // Email (optional)
-  smtpHost: process.env.SMTP_HOST,
-  smtpPort: parseInt(process.env.SMTP_PORT) || 587,
-  smtpUser: process.env.SMTP_USER,
-  smtpPass: process.env.SMTP_PASS,
-  
+  smtpHost: { env: 'SMTP_HOST', type: 'string' },
+  smtpPort: { env: 'SMTP_PORT', type: 'int', default: 587, min: 1, max: 65535 },
+  smtpUser: { env: 'SMTP_USER', type: 'string' },
+  smtpPass: { env: 'SMTP_PASS', type: 'string' },
+
   // Monitoring (optional)
-  sentryDsn: process.env.SENTRY_DSN,
-  
+  sentryDsn: { env: 'SENTRY_DSN', type: 'string' },
+
   // Rate Limiting
-  rateLimitRequests: parseInt(process.env.RATE_LIMIT_REQUESTS) || 100,
-  rateLimitWindow: parseInt(process.env.RATE_LIMIT_WINDOW) || 60000,
-  
+  rateLimitRequests: { env: 'RATE_LIMIT_REQUESTS', type: 'int', default: 100, min: 1 }, // license checks, admin login
+  rateLimitSignalRequests: { env: 'RATE_LIMIT_SIGNAL_REQUESTS', type: 'int', default: 1200, min: 1 }, // receivers
+  rateLimitMasterRequests: { env: 'RATE_LIMIT_MASTER_REQUESTS', type: 'int', default: 600, min: 1 }, // masters
+  rateLimitHeartbeatRequests: { env: 'RATE_LIMIT_HEARTBEAT_REQUESTS', type: 'int', default: 300, min: 1 },
+  rateLimitWindow: { env: 'RATE_LIMIT_WINDOW', type: 'int', default: 60000, min: 1000 }, // ms
+  lockoutThreshold: { env: 'LOCKOUT_THRESHOLD', type: 'int', default: 5, min: 1 }, // invalid licenses per window
+  lockoutDuration: { env: 'LOCKOUT_DURATION', type: 'int', default: 60000, min: 1000 }, // ms, doubles per lockout
+  lockoutMaxDuration: { env: 'LOCKOUT_MAX_DURATION', type: 'int', default: 24 * 60 * 60 * 1000, min: 1000 }, // ms
+
   // License defaults
-  defaultLicenseDays: parseInt(process.env.DEFAULT_LICENSE_DAYS) || 365,
-  
+  defaultLicenseDays: { env: 'DEFAULT_LICENSE_DAYS', type: 'int', default: 365, min: 1 },
+  defaultMaxDevices: { env: 'DEFAULT_MAX_DEVICES', type: 'int', default: 1, min: 1 },
+
   // Connection timeouts
-  connectionTimeout: parseInt(process.env.CONNECTION_TIMEOUT) || 300000, // 5 minutes
-  pingInterval: parseInt(process.env.PING_INTERVAL) || 30000, // 30 seconds
+  connectionTimeout: { env: 'CONNECTION_TIMEOUT', type: 'int', default: 300000, min: 1000 }, // ms, 5 minutes
+  pingInterval: { env: 'PING_INTERVAL', type: 'int', default: 30000, min: 1000 }, // ms, 30 seconds
+
+  // Retention
+  signalRetention: { env: 'SIGNAL_RETENTION', type: 'int', default: 24 * 60 * 60, min: 60 }, // seconds
+  logMaxEntries: { env: 'LOG_MAX_ENTRIES', type: 'int', default: 10000, min: 100 }
 };
 
-export default config;
+class ConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid configuration:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+// Convert one raw value (env string or JSON value) to the type of its field.
+// Returns { value } or { error }.
+function parseValue(field, raw) {
+  const text = String(raw).trim();
 
+  switch (field.type) {
+    case 'int': {
+      if (!/^-?\d+$/.test(text)) {
+        return { error: 'must be an integer' };
+      }
+      const value = parseInt(text);
+      if (field.min !== undefined && value < field.min) {
+        return { error: `must be at least ${field.min}` };
+      }
+      if (field.max !== undefined && value > field.max) {
+        return { error: `must be at most ${field.max}` };
+      }
+      return { value };
+    }
+    case 'bool':
+      if (['true', '1', 'yes'].includes(text.toLowerCase())) {
+        return { value: true };
+      }
+      if (['false', '0', 'no'].includes(text.toLowerCase())) {
+        return { value: false };
+      }
+      return { error: 'must be true or false' };
+    case 'proxy':
+      // Express "trust proxy": true, false, a hop count or proxy addresses and subnets
+      if (['true', 'false'].includes(text.toLowerCase())) {
+        return { value: text.toLowerCase() === 'true' };
+      }
+      if (/^\d+$/.test(text)) {
+        return { value: parseInt(text) };
+      }
+      try {
+        proxyaddr.compile(text.split(/ *, */));
+      } catch (err) {
+        return { error: err.message };
+      }
+      return { value: text };
+    case 'enum':
+      if (!field.values.includes(text)) {
+        return { error: `must be one of ${field.values.join(', ')}` };
+      }
+      return { value: text };
+    default:
+      if (typeof raw === 'object') {
+        return { error: 'must be a string' };
+      }
+      return { value: String(raw) };
+  }
+}
+
+function readConfigFile(file, errors) {
+  try {
+    const values = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      errors.push(`${file}: must contain a JSON object`);
+      return {};
+    }
+    for (const key of Object.keys(values)) {
+      if (!schema[key]) {
+        errors.push(`${file}: unknown setting "${key}"`);
+      }
+    }
+    return values;
+  } catch (err) {
+    errors.push(`${file}: ${err.code === 'ENOENT' ? 'file not found' : err.message}`);
+    return {};
+  }
+}
+
+// Build and validate the configuration; throws a ConfigError listing every
+// problem at once
+export function loadConfig(env = process.env) {
+  const errors = [];
+  const file = env.CONFIG_FILE ? readConfigFile(env.CONFIG_FILE, errors) : {};
+  const config = {};
+
+  for (const [key, field] of Object.entries(schema)) {
+    const fromEnv = env[field.env] !== undefined && env[field.env] !== '';
+    const raw = fromEnv ? env[field.env] : file[key];
+
+    if (raw === undefined || raw === null) {
+      config[key] = field.default;
+      continue;
+    }
+
+    const parsed = parseValue(field, raw);
+    if (parsed.error) {
+      errors.push(`${fromEnv ? field.env : `${env.CONFIG_FILE}: ${key}`} ${parsed.error}`);
+    } else {
+      config[key] = parsed.value;
+    }
+  }
+
+  if (config.nodeEnv === 'production' && (!config.apiSecret || DEFAULT_SECRETS.includes(config.apiSecret))) {
+    errors.push('API_SECRET must be set to your own secret in production');
+  }
+
+  if (config.pingInterval >= config.connectionTimeout) {
+    errors.push('PING_INTERVAL must be shorter than CONNECTION_TIMEOUT');
+  }
+
+  if (errors.length > 0) {
+    throw new ConfigError(errors);
+  }
+
+  return Object.freeze(config);
+}
+
+let config;
+try {
+  config = loadConfig();
+} catch (err) {
+  if (!(err instanceof ConfigError)) {
+    throw err;
+  }
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+
+export { ConfigError };
+export default config;
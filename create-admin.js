@@ -0,0 +1,73 @@
+import readline from 'readline';
+import { Writable } from 'stream';
+import Database from './database.js';
+import Auth from './auth.js';
+import config from './config.js';
+
+// Usage: node create-admin.js <username> <email> [role]
+// The password is read from ADMIN_PASSWORD or prompted for.
+
+const db = Database.create(config);
+
+// Read the password without echoing it: readline still handles line editing,
+// but writes what is typed to a stream that discards it
+function promptPassword() {
+  return new Promise((resolve) => {
+    const muted = new Writable({ write: (chunk, encoding, callback) => callback() });
+    const rl = readline.createInterface({ input: process.stdin, output: muted, terminal: process.stdin.isTTY });
+    process.stdout.write('Password: ');
+    rl.question('', (answer) => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+async function createAdmin() {
+  try {
+    const [username, email, role = 'owner'] = process.argv.slice(2);
+
+    if (!username || !email) {
+      console.log('Usage: node create-admin.js <username> <email> [role]');
+      process.exit(1);
+    }
+
+    if (!Auth.roles.includes(role)) {
+      console.error(`❌ Role must be one of: ${Auth.roles.join(', ')}`);
+      process.exit(1);
+    }
+
+    const password = process.env.ADMIN_PASSWORD || await promptPassword();
+    if (!password || password.length < 10) {
+      console.error('❌ Password must be at least 10 characters');
+      process.exit(1);
+    }
+
+    await db.connect();
+    await db.init();
+
+    const existing = await db.getAdminByUsername(username) || await db.getAdminByEmail(email);
+    if (existing) {
+      console.log('✅ Admin already exists:', existing.username);
+      await db.close();
+      process.exit(0);
+    }
+
+    const passwordHash = await Auth.hashPassword(password);
+    await db.createAdminUser(username, email, passwordHash, null, role);
+
+    console.log('✅ Admin created successfully!');
+    console.log('   Username:', username);
+    console.log('   Email:', email);
+    console.log('   Role:', role);
+
+    await db.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error:', error);
+    process.exit(1);
+  }
+}
+
+createAdmin();
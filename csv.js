@@ -0,0 +1,95 @@
+// Minimal RFC 4180 CSV reading and writing for admin imports and exports
+
+class Csv {
+  // Parse CSV text into arrays of fields. Quoted fields may contain commas,
+  // newlines and doubled quotes; blank lines are skipped. Each array carries
+  // the line it started on in `line`.
+  static parse(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          if (char === '\n') {
+            line++;
+          }
+          field += char;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') {
+          i++;
+        }
+        row.push(field);
+        row.line = rowLine;
+        rows.push(row);
+        row = [];
+        field = '';
+        rowLine = ++line;
+      } else {
+        field += char;
+      }
+    }
+
+    row.push(field);
+    row.line = rowLine;
+    rows.push(row);
+
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+  }
+
+  // Parse CSV with a header line into objects keyed by the lower-cased header
+  // names. Each object keeps its 1-based line number in `line`.
+  static parseObjects(text) {
+    const [header, ...rows] = Csv.parse(text);
+    if (!header) {
+      return [];
+    }
+
+    const columns = header.map(name => name.trim().toLowerCase());
+    return rows.map((fields) => {
+      const record = { line: fields.line };
+      columns.forEach((column, i) => {
+        record[column] = fields[i] === undefined ? '' : fields[i].trim();
+      });
+      return record;
+    });
+  }
+
+  static stringify(rows, columns) {
+    const escape = (value) => {
+      if (value === null || value === undefined) {
+        return '';
+      }
+      const text = String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [columns.join(',')];
+    for (const row of rows) {
+      lines.push(columns.map(column => escape(row[column])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+  }
+}
+
+export default Csv;
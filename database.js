@@ -1,178 +1,90 @@
-import sqlite3 from 'sqlite3';
-import { promisify } from 'util';
+import { EventEmitter } from 'events';
+import SqliteDriver from './sqlite-driver.js';
+import PostgresDriver from './postgres-driver.js';
+import Migrator from './migrations.js';
 
-class Database {
-  constructor() {
-    this.db = null;
+// Storage for licenses, connections, trades and the signal queue, logs, admin
+// sessions and settings. Queries go through a driver (SQLite by default,
+// Postgres with DB_TYPE=postgres) exposing connect, run, get, all, transaction
+// and close, plus dialect, greatest, least and forUpdate for the SQL that
+// differs between them.
+// Emits 'log' for every entry written with log()
+class Database extends EventEmitter {
+  constructor(driver = new SqliteDriver()) {
+    super();
+    this.driver = driver;
+  }
+
+  // Database for the configured DB_TYPE
+  static create(config) {
+    if (config.dbType === 'postgres') {
+      return new Database(new PostgresDriver({
+        host: config.dbHost,
+        port: config.dbPort,
+        database: config.dbName,
+        user: config.dbUser,
+        password: config.dbPass,
+        poolSize: config.dbPoolSize
+      }));
+    }
+    return new Database(new SqliteDriver(config.dbPath));
   }
 
   async connect() {
-    return new Promise((resolve, reject) => {
-      this.db = new sqlite3.Database('./silverpro.db', (err) => {
-        if (err) {
-          console.error('❌ Database connection error:', err);
-          reject(err);
-        } else {
-          console.log('✅ Database connected');
-          resolve();
-        }
-      });
-    });
+    return this.driver.connect();
   }
 
+  // Bring the schema up to date, see migrations.js
   async init() {
-    const queries = [
-      `CREATE TABLE IF NOT EXISTS licenses (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        license_key TEXT UNIQUE NOT NULL,
-        user_email TEXT,
-        status TEXT DEFAULT 'active',
-        expiry_date INTEGER NOT NULL,
-        created_at INTEGER DEFAULT (strftime('%s', 'now')),
-        last_verified INTEGER,
-        activation_count INTEGER DEFAULT 0
-      )`,
-      
-      `CREATE TABLE IF NOT EXISTS trades (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        license_key TEXT,
-        symbol TEXT NOT NULL,
-        action TEXT NOT NULL,
-        volume REAL NOT NULL,
-        sl REAL,
-        tp REAL,
-        timestamp INTEGER DEFAULT (strftime('%s', 'now')),
-        executed BOOLEAN DEFAULT 0,
-        FOREIGN KEY (license_key) REFERENCES licenses(license_key)
-      )`,
-      
-      `CREATE TABLE IF NOT EXISTS connections (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        connection_id TEXT UNIQUE NOT NULL,
-        type TEXT NOT NULL,
-        license_key TEXT,
-        ip_address TEXT,
-        account_name TEXT,
-        account_number TEXT,
-        account_balance REAL,
-        account_currency TEXT,
-        broker TEXT,
-        connected_at INTEGER DEFAULT (strftime('%s', 'now')),
-        last_ping INTEGER,
-        status TEXT DEFAULT 'active',
-        FOREIGN KEY (license_key) REFERENCES licenses(license_key)
-      )`,
-      
-      `CREATE TABLE IF NOT EXISTS logs (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        level TEXT NOT NULL,
-        message TEXT NOT NULL,
-        metadata TEXT,
-        timestamp INTEGER DEFAULT (strftime('%s', 'now'))
-      )`,
-      
-      `CREATE TABLE IF NOT EXISTS admin_users (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        username TEXT UNIQUE NOT NULL,
-        email TEXT UNIQUE NOT NULL,
-        password_hash TEXT NOT NULL,
-        role TEXT DEFAULT 'admin',
-        api_key TEXT UNIQUE,
-        status TEXT DEFAULT 'active',
-        last_login INTEGER,
-        created_at INTEGER DEFAULT (strftime('%s', 'now'))
-      )`,
-      
-      `CREATE TABLE IF NOT EXISTS user_sessions (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        user_id INTEGER NOT NULL,
-        session_token TEXT UNIQUE NOT NULL,
-        ip_address TEXT,
-        user_agent TEXT,
-        expires_at INTEGER NOT NULL,
-        created_at INTEGER DEFAULT (strftime('%s', 'now')),
-        FOREIGN KEY (user_id) REFERENCES admin_users(id)
-      )`,
-      
-      `CREATE TABLE IF NOT EXISTS dashboard_settings (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        user_id INTEGER NOT NULL,
-        setting_key TEXT NOT NULL,
-        setting_value TEXT,
-        updated_at INTEGER DEFAULT (strftime('%s', 'now')),
-        UNIQUE(user_id, setting_key),
-        FOREIGN KEY (user_id) REFERENCES admin_users(id)
-      )`
-    ];
+    return new Migrator(this).migrate();
+  }
 
-    for (const query of queries) {
-      await this.run(query);
-    }
-    
-    // Create indexes for performance
-    await this.run('CREATE INDEX IF NOT EXISTS idx_licenses_key ON licenses(license_key)');
-    await this.run('CREATE INDEX IF NOT EXISTS idx_connections_id ON connections(connection_id)');
-    await this.run('CREATE INDEX IF NOT EXISTS idx_trades_timestamp ON trades(timestamp)');
-    await this.run('CREATE INDEX IF NOT EXISTS idx_admin_users_email ON admin_users(email)');
-    await this.run('CREATE INDEX IF NOT EXISTS idx_user_sessions_token ON user_sessions(session_token)');
-    await this.run('CREATE INDEX IF NOT EXISTS idx_dashboard_settings_user ON dashboard_settings(user_id)');
+  // Run fn inside a transaction, rolling back if it throws. Queries made
+  // while fn runs belong to the transaction; see the drivers.
+  async transaction(fn) {
+    return this.driver.transaction(fn);
   }
 
   run(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      this.db.run(sql, params, function(err) {
-        if (err) {
-          console.error('❌ Database query error:', err);
-          reject(err);
-        } else {
-          resolve({ lastID: this.lastID, changes: this.changes });
-        }
-      });
-    });
+    return this.driver.run(sql, params);
+  }
+
+  // Run an INSERT and return the generated key of the new row as lastID. The
+  // rows are read with all() so the statement runs to completion (and commits)
+  // before this returns.
+  async insert(sql, params = [], key = 'id') {
+    const rows = await this.driver.all(`${sql} RETURNING ${key}`, params);
+    return { lastID: rows[0][key], changes: rows.length };
   }
 
   get(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      this.db.get(sql, params, (err, row) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(row);
-        }
-      });
-    });
+    return this.driver.get(sql, params);
   }
 
   all(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      this.db.all(sql, params, (err, rows) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(rows);
-        }
-      });
-    });
+    return this.driver.all(sql, params);
   }
 
   async close() {
-    return new Promise((resolve, reject) => {
-      this.db.close((err) => {
-        if (err) {
-          reject(err);
-        } else {
-          console.log('Database closed');
-          resolve();
-        }
-      });
-    });
+    return this.driver.close();
   }
 
   // License methods
-  async createLicense(licenseKey, userEmail, expiryDate) {
-    return this.run(
-      'INSERT INTO licenses (license_key, user_email, expiry_date) VALUES (?, ?, ?)',
-      [licenseKey, userEmail, expiryDate]
+  async createLicense(licenseKey, userEmail, expiryDate, maxDevices = 1, planId = null) {
+    return this.insert(
+      'INSERT INTO licenses (license_key, user_email, expiry_date, max_devices, plan_id) VALUES (?, ?, ?, ?, ?)',
+      [licenseKey, userEmail, expiryDate, maxDevices, planId]
+    );
+  }
+
+  async setLicensePlan(licenseKey, planId) {
+    return this.run('UPDATE licenses SET plan_id = ? WHERE license_key = ?', [planId, licenseKey]);
+  }
+
+  async getLicensePlan(licenseKey) {
+    return this.get(
+      'SELECT p.* FROM plans p JOIN licenses l ON l.plan_id = p.id WHERE l.license_key = ?',
+      [licenseKey]
     );
   }
 
@@ -181,29 +93,222 @@ class Database {
   }
 
   async updateLicenseVerified(licenseKey) {
-    // Increment activation_count only on first successful verification
-    // Prevents re-verification from inflating the count
+    // activation_count is maintained by device binding, see bindLicenseDevice
     return this.run(
-      `UPDATE licenses 
-         SET last_verified = ?, 
-             activation_count = CASE 
-               WHEN activation_count IS NULL THEN 1 
-               WHEN activation_count < 1 THEN activation_count + 1 
-               ELSE activation_count 
-             END 
-       WHERE license_key = ?`,
+      'UPDATE licenses SET last_verified = ? WHERE license_key = ?',
       [Math.floor(Date.now() / 1000), licenseKey]
     );
   }
 
-  async getAllLicenses() {
-    return this.all('SELECT * FROM licenses ORDER BY created_at DESC');
+  async setLicenseMaxDevices(licenseKey, maxDevices) {
+    return this.run('UPDATE licenses SET max_devices = ? WHERE license_key = ?', [maxDevices, licenseKey]);
+  }
+
+  async getAllLicenses(filters = {}) {
+    const conditions = [];
+    const values = [];
+
+    if (filters.status) {
+      conditions.push('l.status = ?');
+      values.push(filters.status);
+    }
+    if (filters.plan) {
+      conditions.push('LOWER(p.name) = LOWER(?)');
+      values.push(filters.plan);
+    }
+    if (filters.email) {
+      conditions.push('LOWER(l.user_email) LIKE LOWER(?)');
+      values.push(`%${filters.email}%`);
+    }
+    if (filters.expiresBefore) {
+      conditions.push('l.expiry_date < ?');
+      values.push(filters.expiresBefore);
+    }
+    if (filters.expiresAfter) {
+      conditions.push('l.expiry_date >= ?');
+      values.push(filters.expiresAfter);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return this.all(
+      `SELECT l.*, p.name AS plan FROM licenses l LEFT JOIN plans p ON p.id = l.plan_id
+       ${where} ORDER BY l.created_at DESC, l.id DESC`,
+      values
+    );
+  }
+
+  async getExistingLicenseKeys(licenseKeys) {
+    if (licenseKeys.length === 0) {
+      return [];
+    }
+    const rows = await this.all(
+      `SELECT license_key FROM licenses WHERE license_key IN (${licenseKeys.map(() => '?').join(', ')})`,
+      licenseKeys
+    );
+    return rows.map(row => row.license_key);
   }
 
   async deactivateLicense(licenseKey) {
     return this.run('UPDATE licenses SET status = ? WHERE license_key = ?', ['inactive', licenseKey]);
   }
 
+  async setLicenseStatus(licenseKey, status, reason = null) {
+    return this.run(
+      'UPDATE licenses SET status = ?, status_reason = ? WHERE license_key = ?',
+      [status, reason, licenseKey]
+    );
+  }
+
+  async setLicenseExpiry(licenseKey, expiryDate) {
+    return this.run('UPDATE licenses SET expiry_date = ? WHERE license_key = ?', [expiryDate, licenseKey]);
+  }
+
+  async setLicenseEmail(licenseKey, userEmail) {
+    return this.run('UPDATE licenses SET user_email = ? WHERE license_key = ?', [userEmail, licenseKey]);
+  }
+
+  // Replace a license key, carrying its devices, receiver state and history over
+  async renameLicenseKey(oldKey, newKey) {
+    const tables = [
+      'licenses', 'license_devices', 'connections', 'receiver_cursors',
+      'receiver_settings', 'receiver_filters', 'filtered_signals', 'position_mappings',
+      'execution_reports', 'trades'
+    ];
+
+    return this.transaction(async () => {
+      for (const table of tables) {
+        await this.run(`UPDATE ${table} SET license_key = ? WHERE license_key = ?`, [newKey, oldKey]);
+      }
+      await this.run(
+        `UPDATE symbol_mappings SET scope_value = ? WHERE scope = 'license' AND scope_value = ?`,
+        [newKey, oldKey]
+      );
+    });
+  }
+
+  // License history methods
+  async addLicenseEvent(license, event, actor, details = null) {
+    return this.run(
+      'INSERT INTO license_events (license_id, license_key, event, details, actor) VALUES (?, ?, ?, ?, ?)',
+      [license.id, license.license_key, event, details ? JSON.stringify(details) : null, actor]
+    );
+  }
+
+  async getLicenseEvents(licenseId) {
+    return this.all('SELECT * FROM license_events WHERE license_id = ? ORDER BY id DESC', [licenseId]);
+  }
+
+  // Plan methods
+  async savePlan(plan) {
+    await this.run(
+      `INSERT INTO plans (name, max_receivers, allowed_symbols, allowed_masters, allowed_risk_modes, copy_pending_orders, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(name) DO UPDATE SET
+         max_receivers = excluded.max_receivers,
+         allowed_symbols = excluded.allowed_symbols,
+         allowed_masters = excluded.allowed_masters,
+         allowed_risk_modes = excluded.allowed_risk_modes,
+         copy_pending_orders = excluded.copy_pending_orders,
+         updated_at = excluded.updated_at`,
+      [
+        plan.name,
+        plan.max_receivers,
+        plan.allowed_symbols,
+        plan.allowed_masters,
+        plan.allowed_risk_modes,
+        plan.copy_pending_orders,
+        Math.floor(Date.now() / 1000)
+      ]
+    );
+    return this.getPlanByName(plan.name);
+  }
+
+  async getPlans() {
+    return this.all('SELECT * FROM plans ORDER BY name');
+  }
+
+  async getPlanByName(name) {
+    return this.get('SELECT * FROM plans WHERE LOWER(name) = LOWER(?)', [name]);
+  }
+
+  // License device binding methods
+  async getLicenseDevices(licenseKey, activeOnly = false) {
+    if (activeOnly) {
+      return this.all(
+        'SELECT * FROM license_devices WHERE license_key = ? AND status = ? ORDER BY bound_at ASC',
+        [licenseKey, 'active']
+      );
+    }
+    return this.all('SELECT * FROM license_devices WHERE license_key = ? ORDER BY bound_at ASC', [licenseKey]);
+  }
+
+  async getLicenseDevice(licenseKey, accountNumber, fingerprint) {
+    return this.get(
+      'SELECT * FROM license_devices WHERE license_key = ? AND account_number = ? AND fingerprint = ?',
+      [licenseKey, accountNumber, fingerprint]
+    );
+  }
+
+  // Bind a device unless the license already has maxDevices active ones.
+  // Returns { device, bound } (bound is false when the device already was), or
+  // null when the license is full. The license row stays locked from the count
+  // to the insert, so concurrent bindings cannot pass the limit together.
+  async bindLicenseDevice(licenseKey, accountNumber, fingerprint, maxDevices) {
+    return this.transaction(async () => {
+      await this.get(`SELECT id FROM licenses WHERE license_key = ?${this.driver.forUpdate()}`, [licenseKey]);
+
+      const existing = await this.getLicenseDevice(licenseKey, accountNumber, fingerprint);
+      if (existing && existing.status === 'active') {
+        return { device: existing, bound: false };
+      }
+      if ((await this.getLicenseDevices(licenseKey, true)).length >= maxDevices) {
+        return null;
+      }
+
+      // Re-binding a released device reactivates its row; every new binding counts as an activation
+      const now = Math.floor(Date.now() / 1000);
+      await this.run(
+        `INSERT INTO license_devices (license_key, account_number, fingerprint, bound_at, last_seen)
+         VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT(license_key, account_number, fingerprint)
+         DO UPDATE SET status = 'active', bound_at = excluded.bound_at, last_seen = excluded.last_seen,
+                       released_at = NULL, released_by = NULL`,
+        [licenseKey, accountNumber, fingerprint, now, now]
+      );
+      await this.run(
+        'UPDATE licenses SET activation_count = COALESCE(activation_count, 0) + 1 WHERE license_key = ?',
+        [licenseKey]
+      );
+      return { device: await this.getLicenseDevice(licenseKey, accountNumber, fingerprint), bound: true };
+    });
+  }
+
+  async touchLicenseDevice(id) {
+    return this.run('UPDATE license_devices SET last_seen = ? WHERE id = ?', [Math.floor(Date.now() / 1000), id]);
+  }
+
+  async releaseLicenseDevices(licenseKey, releasedBy, deviceId = null) {
+    const now = Math.floor(Date.now() / 1000);
+    if (deviceId !== null) {
+      return this.run(
+        'UPDATE license_devices SET status = ?, released_at = ?, released_by = ? WHERE license_key = ? AND id = ? AND status = ?',
+        ['released', now, releasedBy, licenseKey, deviceId, 'active']
+      );
+    }
+    return this.run(
+      'UPDATE license_devices SET status = ?, released_at = ?, released_by = ? WHERE license_key = ? AND status = ?',
+      ['released', now, releasedBy, licenseKey, 'active']
+    );
+  }
+
+  async getLastSelfRelease(licenseKey) {
+    const row = await this.get(
+      'SELECT MAX(released_at) AS released_at FROM license_devices WHERE license_key = ? AND released_by = ?',
+      [licenseKey, 'self']
+    );
+    return row ? row.released_at : null;
+  }
+
   // Connection methods
   async addConnection(connectionId, type, licenseKey, ipAddress, accountInfo = null) {
     // Check if connection already exists
@@ -285,6 +390,22 @@ class Database {
     return this.all('SELECT * FROM connections WHERE type = ? AND status = ?', [type, 'active']);
   }
 
+  async countActiveReceiverAccounts(licenseKey, since, excludeAccount = null) {
+    // Distinct MT5 accounts with a recently pinged receiver connection on this license
+    const row = await this.get(
+      `SELECT COUNT(DISTINCT account_number) AS count
+         FROM connections
+        WHERE type = 'receiver' AND status = 'active' AND license_key = ? AND last_ping >= ?
+          AND account_number IS NOT NULL AND account_number != ?`,
+      [licenseKey, since, excludeAccount || '']
+    );
+    return row.count;
+  }
+
+  async getStaleConnections(before) {
+    return this.all('SELECT * FROM connections WHERE status = ? AND last_ping < ?', ['active', before]);
+  }
+
   async getConnectionById(connectionId) {
     return this.get('SELECT * FROM connections WHERE connection_id = ?', [connectionId]);
   }
@@ -309,29 +430,531 @@ class Database {
   }
 
   // Trade methods
-  async logTrade(licenseKey, symbol, action, volume, sl, tp) {
+  async logTrade(licenseKey, symbol, action, volume, sl, tp, signalSeq = null, signalType = 'OPEN', masterId = null, profit = null) {
     return this.run(
-      'INSERT INTO trades (license_key, symbol, action, volume, sl, tp) VALUES (?, ?, ?, ?, ?, ?)',
-      [licenseKey, symbol, action, volume, sl, tp]
+      `INSERT INTO trades (license_key, symbol, action, volume, sl, tp, signal_seq, signal_type, master_id, profit)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [licenseKey, symbol, action, volume, sl, tp, signalSeq, signalType, masterId, profit]
+    );
+  }
+
+  async logTradeCopy(licenseKey, signal) {
+    // One copy row per receiver per signal, however often the signal is redelivered.
+    // The casts type the selected parameters for Postgres.
+    return this.run(
+      `INSERT INTO trades (license_key, symbol, action, volume, sl, tp, signal_seq, signal_type, source)
+       SELECT ?, ?, ?, CAST(? AS DOUBLE PRECISION), CAST(? AS DOUBLE PRECISION), CAST(? AS DOUBLE PRECISION),
+              CAST(? AS INTEGER), ?, 'copy'
+        WHERE NOT EXISTS (SELECT 1 FROM trades WHERE signal_seq = ? AND license_key = ? AND source = 'copy')`,
+      [
+        licenseKey,
+        signal.symbol,
+        signal.action,
+        signal.volume,
+        signal.sl || null,
+        signal.tp || null,
+        signal.seq,
+        signal.signalType || 'OPEN',
+        signal.seq,
+        licenseKey
+      ]
+    );
+  }
+
+  async getTradeCopy(signalSeq, licenseKey) {
+    return this.get(
+      `SELECT * FROM trades WHERE signal_seq = ? AND license_key = ? AND source = 'copy'`,
+      [signalSeq, licenseKey]
     );
   }
 
   async getRecentTrades(limit = 100) {
-    return this.all('SELECT * FROM trades ORDER BY timestamp DESC LIMIT ?', [limit]);
+    // Master trades only, with per-trade copy outcomes reported by receivers
+    return this.all(
+      `SELECT t.*,
+              (SELECT COUNT(*) FROM execution_reports e WHERE e.signal_seq = t.signal_seq AND e.status IN ('filled', 'partial')) AS copies_executed,
+              (SELECT COUNT(*) FROM execution_reports e WHERE e.signal_seq = t.signal_seq AND e.status = 'rejected') AS copies_rejected
+         FROM trades t
+        WHERE t.source = 'master'
+        ORDER BY t.timestamp DESC
+        LIMIT ?`,
+      [limit]
+    );
+  }
+
+  async markTradeExecuted(signalSeq, licenseKey) {
+    return this.run(
+      `UPDATE trades SET executed = 1 WHERE signal_seq = ? AND (source = 'master' OR license_key = ?)`,
+      [signalSeq, licenseKey]
+    );
   }
 
   async getTradesByLicense(licenseKey, limit = 50) {
     return this.all('SELECT * FROM trades WHERE license_key = ? ORDER BY timestamp DESC LIMIT ?', [licenseKey, limit]);
   }
 
+  // Filtered trade history with keyset pagination. sort is a trades column,
+  // after is { value, id } of the last row of the previous page. Copies carry
+  // the receiver's execution report.
+  async getTradeHistory(filters = {}, { sort = 'timestamp', order = 'desc', after = null, limit = 100 } = {}) {
+    const conditions = [];
+    const values = [];
+
+    if (filters.licenseKey) {
+      conditions.push('t.license_key = ?');
+      values.push(filters.licenseKey);
+    }
+    if (filters.symbol) {
+      conditions.push('LOWER(t.symbol) = LOWER(?)');
+      values.push(filters.symbol);
+    }
+    if (filters.action) {
+      conditions.push('LOWER(t.action) = LOWER(?)');
+      values.push(filters.action);
+    }
+    if (filters.source) {
+      conditions.push('t.source = ?');
+      values.push(filters.source);
+    }
+    if (filters.signalSeq) {
+      conditions.push('t.signal_seq = ?');
+      values.push(filters.signalSeq);
+    }
+    if (filters.executed !== undefined && filters.executed !== null) {
+      conditions.push('t.executed = ?');
+      values.push(filters.executed ? 1 : 0);
+    }
+    if (filters.from) {
+      conditions.push('t.timestamp >= ?');
+      values.push(filters.from);
+    }
+    if (filters.to) {
+      conditions.push('t.timestamp < ?');
+      values.push(filters.to);
+    }
+    if (after) {
+      const op = order === 'asc' ? '>' : '<';
+      conditions.push(`(t.${sort} ${op} ? OR (t.${sort} = ? AND t.id ${op} ?))`);
+      values.push(after.value, after.value, after.id);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    values.push(limit);
+
+    return this.all(
+      `SELECT t.*, e.status AS execution_status, e.ticket AS receiver_ticket, e.fill_price,
+              e.filled_volume, e.slippage, e.error_code, e.error_message
+         FROM trades t
+         LEFT JOIN execution_reports e
+           ON t.source = 'copy' AND e.signal_seq = t.signal_seq AND e.license_key = t.license_key
+        ${where}
+        ORDER BY t.${sort} ${direction}, t.id ${direction}
+        LIMIT ?`,
+      values
+    );
+  }
+
+  // Analytics rows for masters: their trades (with realized profit on closes)
+  // and the receivers' execution reports for them, timed by the master trade
+  async getMasterAnalyticsRows(from, to, masterId = null) {
+    const masterFilter = masterId !== null ? 'AND t.master_id = ?' : '';
+    const values = masterId !== null ? [from, to, masterId] : [from, to];
+
+    const signals = await this.all(
+      `SELECT t.master_id, t.timestamp AS time, t.profit
+         FROM trades t
+        WHERE t.source = 'master' AND t.timestamp >= ? AND t.timestamp < ? ${masterFilter}`,
+      values
+    );
+    const reports = await this.all(
+      `SELECT t.master_id, t.timestamp AS time, e.status, e.slippage, e.reported_at - t.timestamp AS delay
+         FROM execution_reports e
+         JOIN trades t ON t.signal_seq = e.signal_seq AND t.source = 'master'
+        WHERE t.timestamp >= ? AND t.timestamp < ? ${masterFilter}`,
+      values
+    );
+    return { signals, reports };
+  }
+
+  // Analytics rows for receivers: their copies (with the realized profit they
+  // reported) and their execution reports, delays measured from the master trade
+  async getReceiverAnalyticsRows(from, to, licenseKey = null) {
+    const licenseFilter = licenseKey ? 'AND c.license_key = ?' : '';
+    const values = licenseKey ? [from, to, licenseKey] : [from, to];
+
+    const signals = await this.all(
+      `SELECT c.license_key, c.timestamp AS time, e.profit
+         FROM trades c
+         LEFT JOIN execution_reports e ON e.signal_seq = c.signal_seq AND e.license_key = c.license_key
+        WHERE c.source = 'copy' AND c.timestamp >= ? AND c.timestamp < ? ${licenseFilter}`,
+      values
+    );
+    const reports = await this.all(
+      `SELECT c.license_key, c.timestamp AS time, e.status, e.slippage, e.reported_at - m.timestamp AS delay
+         FROM execution_reports e
+         JOIN trades c ON c.signal_seq = e.signal_seq AND c.license_key = e.license_key AND c.source = 'copy'
+         LEFT JOIN trades m ON m.signal_seq = e.signal_seq AND m.source = 'master'
+        WHERE c.timestamp >= ? AND c.timestamp < ? ${licenseFilter}`,
+      values
+    );
+    return { signals, reports };
+  }
+
+  // Signal queue methods
+  async enqueueSignal(signalId, source, signal) {
+    const result = await this.insert(
+      `INSERT INTO signals (signal_id, source, signal_type, master_ticket, symbol, action, volume, sl, tp, payload)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        signalId,
+        source,
+        signal.signalType || 'OPEN',
+        signal.masterTicket || null,
+        signal.symbol,
+        signal.action,
+        signal.volume || 0,
+        signal.sl || null,
+        signal.tp || null,
+        JSON.stringify(signal)
+      ],
+      'seq'
+    );
+    return result.lastID;
+  }
+
+  async getSignalsAfter(seq, limit = 100) {
+    const rows = await this.all('SELECT seq, payload FROM signals WHERE seq > ? ORDER BY seq ASC LIMIT ?', [seq, limit]);
+    return rows.map(row => ({ ...JSON.parse(row.payload), seq: row.seq }));
+  }
+
+  async getLatestSignalSeq() {
+    const row = await this.get('SELECT MAX(seq) AS seq FROM signals');
+    return (row && row.seq) || 0;
+  }
+
+  async deleteSignalsBefore(cutoff) {
+    return this.run('DELETE FROM signals WHERE created_at < ?', [cutoff]);
+  }
+
+  async getSignal(seq) {
+    const row = await this.get('SELECT seq, payload FROM signals WHERE seq = ?', [seq]);
+    return row ? { ...JSON.parse(row.payload), seq: row.seq } : null;
+  }
+
+  // Master position methods. Positions are keyed by the sending master
+  // (masterId) and its ticket.
+  async openMasterPosition(masterId, masterTicket, signal) {
+    return this.run(
+      `INSERT INTO master_positions (master_id, master_ticket, symbol, action, volume, sl, tp, open_seq, status, opened_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'open', ?)
+       ON CONFLICT(master_id, master_ticket) DO UPDATE SET
+         symbol = excluded.symbol, action = excluded.action, volume = excluded.volume, sl = excluded.sl,
+         tp = excluded.tp, open_seq = excluded.open_seq, status = 'open', opened_at = excluded.opened_at,
+         closed_at = NULL`,
+      [masterId, masterTicket, signal.symbol, signal.action, signal.volume, signal.sl || null, signal.tp || null, signal.seq, Math.floor(Date.now() / 1000)]
+    );
+  }
+
+  async getMasterPosition(masterId, masterTicket) {
+    return this.get('SELECT * FROM master_positions WHERE master_id = ? AND master_ticket = ?', [masterId, masterTicket]);
+  }
+
+  // The positions of every master that used this ticket
+  async getMasterPositionsByTicket(masterTicket) {
+    return this.all('SELECT * FROM master_positions WHERE master_ticket = ? ORDER BY opened_at DESC', [masterTicket]);
+  }
+
+  async updateMasterPosition(masterId, masterTicket, data) {
+    const fields = [];
+    const values = [];
+
+    if (data.sl !== undefined) {
+      fields.push('sl = ?');
+      values.push(data.sl);
+    }
+    if (data.tp !== undefined) {
+      fields.push('tp = ?');
+      values.push(data.tp);
+    }
+    if (data.volume !== undefined) {
+      fields.push('volume = ?');
+      values.push(data.volume);
+    }
+    if (data.status !== undefined) {
+      fields.push('status = ?');
+      values.push(data.status);
+      if (data.status === 'closed') {
+        fields.push('closed_at = ?');
+        values.push(Math.floor(Date.now() / 1000));
+      }
+    }
+
+    if (fields.length === 0) return;
+
+    values.push(masterId, masterTicket);
+    return this.run(`UPDATE master_positions SET ${fields.join(', ')} WHERE master_id = ? AND master_ticket = ?`, values);
+  }
+
+  // Position mapping methods (master ticket -> receiver ticket)
+  async savePositionMapping(masterId, masterTicket, licenseKey, receiverTicket, volume) {
+    return this.run(
+      `INSERT INTO position_mappings (master_id, master_ticket, license_key, receiver_ticket, volume, status, updated_at)
+       VALUES (?, ?, ?, ?, ?, 'open', ?)
+       ON CONFLICT(master_id, master_ticket, license_key) DO UPDATE SET
+         receiver_ticket = excluded.receiver_ticket, volume = excluded.volume, status = 'open',
+         updated_at = excluded.updated_at`,
+      [masterId, masterTicket, licenseKey, receiverTicket, volume, Math.floor(Date.now() / 1000)]
+    );
+  }
+
+  async getPositionMapping(masterId, masterTicket, licenseKey) {
+    return this.get(
+      'SELECT * FROM position_mappings WHERE master_id = ? AND master_ticket = ? AND license_key = ?',
+      [masterId, masterTicket, licenseKey]
+    );
+  }
+
+  async getPositionMappings(masterId, masterTicket) {
+    return this.all(
+      'SELECT * FROM position_mappings WHERE master_id = ? AND master_ticket = ? ORDER BY updated_at DESC',
+      [masterId, masterTicket]
+    );
+  }
+
+  async updatePositionMapping(masterId, masterTicket, licenseKey, status, volume = null) {
+    return this.run(
+      `UPDATE position_mappings SET status = ?, volume = COALESCE(?, volume), updated_at = ?
+       WHERE master_id = ? AND master_ticket = ? AND license_key = ?`,
+      [status, volume, Math.floor(Date.now() / 1000), masterId, masterTicket, licenseKey]
+    );
+  }
+
+  // Receiver settings methods
+  async getReceiverSettings(licenseKey) {
+    return this.get('SELECT * FROM receiver_settings WHERE license_key = ?', [licenseKey]);
+  }
+
+  async saveReceiverSettings(licenseKey, data) {
+    await this.run('INSERT INTO receiver_settings (license_key) VALUES (?) ON CONFLICT DO NOTHING', [licenseKey]);
+
+    // Only overwrite what the receiver actually sent
+    const columns = [
+      'risk_mode', 'fixed_lot', 'multiplier', 'risk_percent', 'account_balance',
+      'account_currency', 'min_lot', 'max_lot', 'lot_step', 'contract_sizes', 'tick_values', 'broker'
+    ];
+    const fields = ['updated_at = ?'];
+    const values = [Math.floor(Date.now() / 1000)];
+
+    columns.forEach(column => {
+      if (data[column] !== undefined) {
+        fields.push(`${column} = ?`);
+        values.push(data[column]);
+      }
+    });
+
+    values.push(licenseKey);
+    return this.run(`UPDATE receiver_settings SET ${fields.join(', ')} WHERE license_key = ?`, values);
+  }
+
+  // Symbol mapping methods
+  async saveSymbolMapping(scope, scopeValue, ruleType, sourceSymbol, target) {
+    return this.run(
+      `INSERT INTO symbol_mappings (scope, scope_value, rule_type, source_symbol, target, created_at)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT(scope, scope_value, rule_type, source_symbol) DO UPDATE SET
+         target = excluded.target, created_at = excluded.created_at`,
+      [scope, scopeValue, ruleType, sourceSymbol || '', target, Math.floor(Date.now() / 1000)]
+    );
+  }
+
+  async getSymbolMappings(filters = {}) {
+    const conditions = [];
+    const values = [];
+
+    if (filters.licenseKey) {
+      conditions.push(`(scope = 'license' AND scope_value = ?)`);
+      values.push(filters.licenseKey);
+    }
+    if (filters.broker) {
+      conditions.push(`(scope = 'broker' AND LOWER(scope_value) = LOWER(?))`);
+      values.push(filters.broker);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' OR ')}` : '';
+    return this.all(`SELECT * FROM symbol_mappings ${where} ORDER BY scope, scope_value, rule_type, source_symbol`, values);
+  }
+
+  async deleteSymbolMapping(id) {
+    return this.run('DELETE FROM symbol_mappings WHERE id = ?', [id]);
+  }
+
+  // Receiver filter methods
+  async getReceiverFilters(licenseKey) {
+    return this.get('SELECT * FROM receiver_filters WHERE license_key = ?', [licenseKey]);
+  }
+
+  async saveReceiverFilters(licenseKey, filters) {
+    return this.run(
+      `INSERT INTO receiver_filters
+         (license_key, allowed_symbols, blocked_symbols, allowed_actions, max_volume, trading_windows, utc_offset, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(license_key) DO UPDATE SET
+         allowed_symbols = excluded.allowed_symbols, blocked_symbols = excluded.blocked_symbols,
+         allowed_actions = excluded.allowed_actions, max_volume = excluded.max_volume,
+         trading_windows = excluded.trading_windows, utc_offset = excluded.utc_offset,
+         updated_at = excluded.updated_at`,
+      [
+        licenseKey,
+        filters.allowed_symbols,
+        filters.blocked_symbols,
+        filters.allowed_actions,
+        filters.max_volume,
+        filters.trading_windows,
+        filters.utc_offset,
+        Math.floor(Date.now() / 1000)
+      ]
+    );
+  }
+
+  async deleteReceiverFilters(licenseKey) {
+    return this.run('DELETE FROM receiver_filters WHERE license_key = ?', [licenseKey]);
+  }
+
+  async recordFilteredSignal(signalSeq, licenseKey, symbol, reason) {
+    return this.run(
+      'INSERT INTO filtered_signals (signal_seq, license_key, symbol, reason) VALUES (?, ?, ?, ?) ON CONFLICT DO NOTHING',
+      [signalSeq, licenseKey, symbol, reason]
+    );
+  }
+
+  async getFilteredSignals(licenseKey = null, limit = 100) {
+    if (licenseKey) {
+      return this.all('SELECT * FROM filtered_signals WHERE license_key = ? ORDER BY created_at DESC LIMIT ?', [licenseKey, limit]);
+    }
+    return this.all('SELECT * FROM filtered_signals ORDER BY created_at DESC LIMIT ?', [limit]);
+  }
+
+  // Receiver cursor methods
+  async getReceiverCursor(licenseKey) {
+    return this.get('SELECT * FROM receiver_cursors WHERE license_key = ?', [licenseKey]);
+  }
+
+  async createReceiverCursor(licenseKey, startSeq) {
+    // New receivers start at the head of the queue instead of replaying history
+    await this.run(
+      'INSERT INTO receiver_cursors (license_key, acked_seq, delivered_seq) VALUES (?, ?, ?) ON CONFLICT DO NOTHING',
+      [licenseKey, startSeq, startSeq]
+    );
+    return this.getReceiverCursor(licenseKey);
+  }
+
+  async markSignalsDelivered(licenseKey, seq) {
+    return this.run(
+      `UPDATE receiver_cursors SET delivered_seq = ${this.driver.greatest('delivered_seq', '?')}, updated_at = ? WHERE license_key = ?`,
+      [seq, Math.floor(Date.now() / 1000), licenseKey]
+    );
+  }
+
+  async ackSignals(licenseKey, seq) {
+    // Acks are cumulative and can never move past what was actually delivered
+    const now = Math.floor(Date.now() / 1000);
+    return this.run(
+      `UPDATE receiver_cursors
+         SET acked_seq = ${this.driver.greatest('acked_seq', this.driver.least('?', 'delivered_seq'))},
+             last_ack_at = ?,
+             updated_at = ?
+       WHERE license_key = ?`,
+      [seq, now, now, licenseKey]
+    );
+  }
+
+  // Execution report methods
+  async saveExecutionReport(signalSeq, licenseKey, connectionId, report) {
+    return this.run(
+      `INSERT INTO execution_reports
+         (signal_seq, license_key, connection_id, status, ticket, fill_price, filled_volume, slippage, error_code, error_message, profit, reported_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(signal_seq, license_key) DO UPDATE SET
+         connection_id = excluded.connection_id, status = excluded.status, ticket = excluded.ticket,
+         fill_price = excluded.fill_price, filled_volume = excluded.filled_volume, slippage = excluded.slippage,
+         error_code = excluded.error_code, error_message = excluded.error_message, profit = excluded.profit,
+         reported_at = excluded.reported_at`,
+      [
+        signalSeq,
+        licenseKey,
+        connectionId,
+        report.status,
+        report.ticket,
+        report.fillPrice,
+        report.filledVolume,
+        report.slippage,
+        report.errorCode,
+        report.errorMessage,
+        report.profit,
+        Math.floor(Date.now() / 1000)
+      ]
+    );
+  }
+
+  async getExecutionReports(filters = {}, limit = 100) {
+    const conditions = [];
+    const values = [];
+
+    if (filters.signalSeq !== undefined) {
+      conditions.push('signal_seq = ?');
+      values.push(filters.signalSeq);
+    }
+    if (filters.licenseKey) {
+      conditions.push('license_key = ?');
+      values.push(filters.licenseKey);
+    }
+    if (filters.status) {
+      conditions.push('status = ?');
+      values.push(filters.status);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    values.push(limit);
+    return this.all(`SELECT * FROM execution_reports ${where} ORDER BY reported_at DESC LIMIT ?`, values);
+  }
+
+  async getExecutionSummary(since = 0) {
+    const byStatus = await this.all(
+      'SELECT status, COUNT(*) AS count FROM execution_reports WHERE reported_at >= ? GROUP BY status',
+      [since]
+    );
+    const topErrors = await this.all(
+      `SELECT error_code, MAX(error_message) AS error_message, COUNT(*) AS count
+         FROM execution_reports
+        WHERE status = 'rejected' AND reported_at >= ?
+        GROUP BY error_code
+        ORDER BY count DESC
+        LIMIT 5`,
+      [since]
+    );
+
+    const summary = { filled: 0, partial: 0, rejected: 0, topErrors };
+    byStatus.forEach(row => {
+      summary[row.status] = row.count;
+    });
+    return summary;
+  }
+
   // Logging methods
   async log(level, message, metadata = null) {
+    this.emit('log', { level, message, metadata, timestamp: Date.now() });
     return this.run(
       'INSERT INTO logs (level, message, metadata) VALUES (?, ?, ?)',
       [level, message, JSON.stringify(metadata)]
     );
   }
 
+  // Keep only the newest maxEntries log entries
+  async trimLogs(maxEntries) {
+    return this.run('DELETE FROM logs WHERE id NOT IN (SELECT id FROM logs ORDER BY timestamp DESC LIMIT ?)', [maxEntries]);
+  }
+
   async getLogs(level = null, limit = 1000) {
     if (level) {
       return this.all('SELECT * FROM logs WHERE level = ? ORDER BY timestamp DESC LIMIT ?', [level, limit]);
@@ -340,13 +963,22 @@ class Database {
   }
 
   // Admin user methods
-  async createAdminUser(username, email, passwordHash, apiKey = null) {
-    return this.run(
-      'INSERT INTO admin_users (username, email, password_hash, api_key) VALUES (?, ?, ?, ?)',
-      [username, email, passwordHash, apiKey]
+  async createAdminUser(username, email, passwordHash, apiKey = null, role = 'admin') {
+    return this.insert(
+      'INSERT INTO admin_users (username, email, password_hash, api_key, role) VALUES (?, ?, ?, ?, ?)',
+      [username, email, passwordHash, apiKey, role]
     );
   }
 
+  async getAdminById(userId) {
+    return this.get('SELECT * FROM admin_users WHERE id = ? AND status = ?', [userId, 'active']);
+  }
+
+  async countAdmins() {
+    const row = await this.get('SELECT COUNT(*) AS count FROM admin_users');
+    return row.count;
+  }
+
   async getAdminByEmail(email) {
     return this.get('SELECT * FROM admin_users WHERE email = ? AND status = ?', [email, 'active']);
   }
@@ -363,10 +995,69 @@ class Database {
     return this.run('UPDATE admin_users SET last_login = ? WHERE id = ?', [Math.floor(Date.now() / 1000), userId]);
   }
 
+  async countActiveAdminsWithRole(role) {
+    const row = await this.get('SELECT COUNT(*) AS count FROM admin_users WHERE role = ? AND status = ?', [role, 'active']);
+    return row.count;
+  }
+
+  async updateAdminRole(userId, role) {
+    return this.run('UPDATE admin_users SET role = ? WHERE id = ?', [role, userId]);
+  }
+
   async getAllAdmins() {
     return this.all('SELECT id, username, email, role, status, last_login, created_at FROM admin_users');
   }
 
+  // Master API key methods
+  async createMasterApiKey(keyHash, keyPrefix, label, accountNumber, createdBy, signingSecret = null, signedOnly = false) {
+    return this.insert(
+      `INSERT INTO master_api_keys (key_hash, key_prefix, label, account_number, created_by, signing_secret, signed_only)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [keyHash, keyPrefix, label, accountNumber, createdBy, signingSecret, signedOnly ? 1 : 0]
+    );
+  }
+
+  async getMasterApiKeyByHash(keyHash) {
+    return this.get('SELECT * FROM master_api_keys WHERE key_hash = ?', [keyHash]);
+  }
+
+  async getMasterApiKeyById(id) {
+    return this.get('SELECT * FROM master_api_keys WHERE id = ?', [id]);
+  }
+
+  async getAllMasterApiKeys() {
+    return this.all(
+      `SELECT id, key_prefix, label, account_number, signed_only, status, created_by, created_at, last_used_at, revoked_at
+         FROM master_api_keys
+        ORDER BY created_at DESC`
+    );
+  }
+
+  async touchMasterApiKey(id) {
+    return this.run('UPDATE master_api_keys SET last_used_at = ? WHERE id = ?', [Math.floor(Date.now() / 1000), id]);
+  }
+
+  async revokeMasterApiKey(id) {
+    return this.run(
+      'UPDATE master_api_keys SET status = ?, revoked_at = ? WHERE id = ? AND status = ?',
+      ['revoked', Math.floor(Date.now() / 1000), id, 'active']
+    );
+  }
+
+  // Request nonce methods (replay protection for signed master requests)
+  async useNonce(keyId, nonce, expiresAt) {
+    // Returns false when the nonce was already seen for this key
+    const result = await this.run(
+      'INSERT INTO request_nonces (key_id, nonce, expires_at) VALUES (?, ?, ?) ON CONFLICT DO NOTHING',
+      [keyId, nonce, expiresAt]
+    );
+    return result.changes > 0;
+  }
+
+  async deleteExpiredNonces() {
+    return this.run('DELETE FROM request_nonces WHERE expires_at < ?', [Math.floor(Date.now() / 1000)]);
+  }
+
   // Session methods
   async createSession(userId, sessionToken, ipAddress, userAgent, expiresAt) {
     return this.run(
@@ -378,8 +1069,11 @@ class Database {
   async getSession(sessionToken) {
     const now = Math.floor(Date.now() / 1000);
     return this.get(
-      'SELECT s.*, u.username, u.email, u.role FROM user_sessions s JOIN admin_users u ON s.user_id = u.id WHERE s.session_token = ? AND s.expires_at > ?',
-      [sessionToken, now]
+      `SELECT s.*, u.username, u.email, u.role
+         FROM user_sessions s
+         JOIN admin_users u ON s.user_id = u.id
+        WHERE s.session_token = ? AND s.expires_at > ? AND u.status = ?`,
+      [sessionToken, now, 'active']
     );
   }
 
@@ -395,7 +1089,9 @@ class Database {
   // Dashboard settings methods
   async saveSetting(userId, key, value) {
     return this.run(
-      'INSERT OR REPLACE INTO dashboard_settings (user_id, setting_key, setting_value, updated_at) VALUES (?, ?, ?, ?)',
+      `INSERT INTO dashboard_settings (user_id, setting_key, setting_value, updated_at) VALUES (?, ?, ?, ?)
+       ON CONFLICT(user_id, setting_key) DO UPDATE SET
+         setting_value = excluded.setting_value, updated_at = excluded.updated_at`,
       [userId, key, value, Math.floor(Date.now() / 1000)]
     );
   }
@@ -0,0 +1,119 @@
+// Per-license rules deciding which signals a receiver is allowed to copy
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const toMinutes = (time) => {
+  const [, hours, minutes] = time.match(TIME_PATTERN);
+  return parseInt(hours) * 60 + parseInt(minutes);
+};
+
+const toUpperList = (value) => value.map(item => String(item).trim().toUpperCase()).filter(Boolean);
+
+class SignalFilter {
+  // Validate filter rules sent by an admin and convert them to receiver_filters
+  // columns. Returns { filters } or { error }.
+  static validate(input) {
+    const filters = {};
+
+    for (const field of ['allowedSymbols', 'blockedSymbols', 'allowedActions']) {
+      if (input[field] === undefined || input[field] === null) {
+        continue;
+      }
+      if (!Array.isArray(input[field])) {
+        return { error: `${field} must be an array` };
+      }
+    }
+
+    if (input.maxVolume !== undefined && input.maxVolume !== null && !(Number(input.maxVolume) > 0)) {
+      return { error: 'maxVolume must be a positive number' };
+    }
+
+    // null, like leaving it out, means the default of UTC
+    if (input.utcOffset !== undefined && input.utcOffset !== null && !Number.isInteger(input.utcOffset)) {
+      return { error: 'utcOffset must be a whole number of minutes' };
+    }
+
+    const windows = input.tradingWindows || [];
+    if (!Array.isArray(windows)) {
+      return { error: 'tradingWindows must be an array' };
+    }
+    for (const window of windows) {
+      if (!window || !TIME_PATTERN.test(window.start) || !TIME_PATTERN.test(window.end)) {
+        return { error: 'Each trading window needs start and end as HH:MM' };
+      }
+      if (window.days !== undefined &&
+          (!Array.isArray(window.days) || window.days.some(day => !Number.isInteger(day) || day < 0 || day > 6))) {
+        return { error: 'Trading window days must be numbers 0 (Sunday) to 6 (Saturday)' };
+      }
+    }
+
+    filters.allowed_symbols = input.allowedSymbols ? JSON.stringify(toUpperList(input.allowedSymbols)) : null;
+    filters.blocked_symbols = input.blockedSymbols ? JSON.stringify(toUpperList(input.blockedSymbols)) : null;
+    filters.allowed_actions = input.allowedActions ? JSON.stringify(toUpperList(input.allowedActions)) : null;
+    filters.max_volume = input.maxVolume ? Number(input.maxVolume) : null;
+    filters.trading_windows = windows.length > 0
+      ? JSON.stringify(windows.map(w => ({ days: w.days, start: w.start, end: w.end })))
+      : null;
+    filters.utc_offset = input.utcOffset || 0;
+
+    return { filters };
+  }
+
+  // Reason the signal must not be copied, or null if it passes. Only OPEN
+  // signals are filtered: once a position was copied its MODIFY and CLOSE
+  // follow-ups always have to reach the receiver.
+  static evaluate(signal, filters) {
+    if (!filters || (signal.signalType && signal.signalType !== 'OPEN')) {
+      return null;
+    }
+
+    const symbol = String(signal.symbol).toUpperCase();
+    const action = String(signal.action).toUpperCase();
+
+    const allowedSymbols = filters.allowed_symbols ? JSON.parse(filters.allowed_symbols) : null;
+    if (allowedSymbols && allowedSymbols.length > 0 && !allowedSymbols.includes(symbol)) {
+      return `Symbol ${symbol} not in allowed list`;
+    }
+
+    const blockedSymbols = filters.blocked_symbols ? JSON.parse(filters.blocked_symbols) : [];
+    if (blockedSymbols.includes(symbol)) {
+      return `Symbol ${symbol} is blocked`;
+    }
+
+    const allowedActions = filters.allowed_actions ? JSON.parse(filters.allowed_actions) : null;
+    if (allowedActions && allowedActions.length > 0 && !allowedActions.includes(action)) {
+      return `Action ${action} not allowed`;
+    }
+
+    const windows = filters.trading_windows ? JSON.parse(filters.trading_windows) : [];
+    if (windows.length > 0 && !SignalFilter.inTradingWindow(signal.timestamp || Date.now(), windows, filters.utc_offset || 0)) {
+      return 'Outside trading window';
+    }
+
+    return null;
+  }
+
+  // Windows are in the receiver's local time (UTC + utcOffset minutes); a window
+  // whose end is before its start runs past midnight
+  static inTradingWindow(timestamp, windows, utcOffset) {
+    const local = new Date(timestamp + utcOffset * 60000);
+    const day = local.getUTCDay();
+    const minutes = local.getUTCHours() * 60 + local.getUTCMinutes();
+
+    return windows.some(window => {
+      const start = toMinutes(window.start);
+      const end = toMinutes(window.end);
+
+      if (start <= end) {
+        return (!window.days || window.days.includes(day)) && minutes >= start && minutes < end;
+      }
+
+      // Overnight window: the part after midnight belongs to the previous day
+      const previousDay = (day + 6) % 7;
+      return ((!window.days || window.days.includes(day)) && minutes >= start) ||
+             ((!window.days || window.days.includes(previousDay)) && minutes < end);
+    });
+  }
+}
+
+export default SignalFilter;
@@ -0,0 +1,67 @@
+// Escalating lockouts for clients that keep failing a check (such as sending
+// unknown license keys). `threshold` failures within `windowMs` lock the client
+// out for `durationMs`; every further lockout doubles that, up to
+// `maxDurationMs`. The escalation is forgotten after `maxDurationMs` without
+// failures.
+
+class Lockouts {
+  constructor({ threshold = 5, windowMs = 60000, durationMs = 60000, maxDurationMs = 24 * 60 * 60 * 1000 } = {}) {
+    this.threshold = threshold;
+    this.windowMs = windowMs;
+    this.durationMs = durationMs;
+    this.maxDurationMs = maxDurationMs;
+    this.clients = new Map();
+    this.nextSweep = 0;
+  }
+
+  // Milliseconds the client is still locked out for, 0 if it is not
+  remaining(key, now = Date.now()) {
+    const client = this.clients.get(key);
+    return client && client.lockedUntil > now ? client.lockedUntil - now : 0;
+  }
+
+  // Count a failure. Returns { lockedFor, lockouts } when it starts a
+  // lockout, otherwise null.
+  fail(key, now = Date.now()) {
+    this.sweep(now);
+
+    let client = this.clients.get(key);
+    if (!client || now - client.lastFailure > this.maxDurationMs) {
+      client = { failures: 0, windowStart: now, lockouts: 0, lockedUntil: 0, lastFailure: now };
+      this.clients.set(key, client);
+    }
+
+    if (now - client.windowStart > this.windowMs) {
+      client.failures = 0;
+      client.windowStart = now;
+    }
+    client.failures++;
+    client.lastFailure = now;
+
+    if (client.failures < this.threshold) {
+      return null;
+    }
+
+    const lockedFor = Math.min(this.durationMs * 2 ** client.lockouts, this.maxDurationMs);
+    client.lockouts++;
+    client.lockedUntil = now + lockedFor;
+    client.failures = 0;
+    client.windowStart = client.lockedUntil;
+    return { lockedFor, lockouts: client.lockouts };
+  }
+
+  // Drop clients whose escalation has expired
+  sweep(now) {
+    if (now < this.nextSweep) {
+      return;
+    }
+    for (const [key, client] of this.clients) {
+      if (client.lockedUntil <= now && now - client.lastFailure > this.maxDurationMs) {
+        this.clients.delete(key);
+      }
+    }
+    this.nextSweep = now + this.windowMs;
+  }
+}
+
+export default Lockouts;
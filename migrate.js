@@ -0,0 +1,50 @@
+import Database from './database.js';
+import Migrator from './migrations.js';
+import config from './config.js';
+
+// Usage: node migrate.js [migrate | rollback [steps] | status]
+
+const db = Database.create(config);
+
+async function main() {
+  try {
+    const [command = 'migrate', arg] = process.argv.slice(2);
+
+    if (!['migrate', 'rollback', 'status'].includes(command)) {
+      console.log('Usage: node migrate.js [migrate | rollback [steps] | status]');
+      process.exit(1);
+    }
+
+    const steps = arg === undefined ? 1 : parseInt(arg);
+    if (command === 'rollback' && !(steps > 0)) {
+      console.error('❌ Steps must be a positive number');
+      process.exit(1);
+    }
+
+    await db.connect();
+    const migrator = new Migrator(db);
+
+    if (command === 'status') {
+      for (const migration of await migrator.status()) {
+        const state = migration.missing
+          ? 'applied, file missing'
+          : migration.appliedAt ? `applied ${new Date(migration.appliedAt * 1000).toISOString()}` : 'pending';
+        console.log(`   ${migration.name}: ${state}`);
+      }
+    } else if (command === 'rollback') {
+      const done = await migrator.rollback(steps);
+      console.log(done.length > 0 ? `✅ Rolled back ${done.length} migrations` : '✅ Nothing to roll back');
+    } else {
+      const done = await migrator.migrate();
+      console.log(done.length > 0 ? `✅ Applied ${done.length} migrations` : '✅ Database is up to date');
+    }
+
+    await db.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error:', error);
+    process.exit(1);
+  }
+}
+
+main();
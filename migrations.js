@@ -0,0 +1,116 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+// Versioned schema migrations. Each file in migrations/ is named
+// <version>_<name>.js and exports async up(db) and down(db); applied versions
+// are recorded in schema_migrations. Every migration runs in a transaction.
+
+const MIGRATIONS_DIR = fileURLToPath(new URL('./migrations/', import.meta.url));
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+class Migrator {
+  constructor(db, directory = MIGRATIONS_DIR) {
+    this.db = db;
+    this.directory = directory;
+  }
+
+  // Migration files ordered by version
+  async load() {
+    const migrations = [];
+    for (const file of fs.readdirSync(this.directory)) {
+      const match = FILE_PATTERN.exec(file);
+      if (!match) {
+        continue;
+      }
+      const module = await import(pathToFileURL(path.join(this.directory, file)).href);
+      if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+        throw new Error(`Migration ${file} must export up and down`);
+      }
+      migrations.push({ version: parseInt(match[1]), name: `${match[1]}_${match[2]}`, up: module.up, down: module.down });
+    }
+
+    migrations.sort((a, b) => a.version - b.version);
+    migrations.forEach((migration, i) => {
+      if (i > 0 && migration.version === migrations[i - 1].version) {
+        throw new Error(`Duplicate migration version ${migration.version}`);
+      }
+    });
+    return migrations;
+  }
+
+  async applied() {
+    await this.db.run(
+      `CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at BIGINT NOT NULL
+      )`
+    );
+    return this.db.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  }
+
+  // Every known migration with applied_at (null while pending), plus applied
+  // versions whose file is missing
+  async status() {
+    const migrations = await this.load();
+    const applied = new Map((await this.applied()).map(row => [row.version, row]));
+    const status = migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      appliedAt: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+    }));
+
+    for (const row of applied.values()) {
+      if (!migrations.some(migration => migration.version === row.version)) {
+        status.push({ version: row.version, name: row.name, appliedAt: row.applied_at, missing: true });
+      }
+    }
+    return status.sort((a, b) => a.version - b.version);
+  }
+
+  async pending() {
+    const applied = new Set((await this.applied()).map(row => row.version));
+    return (await this.load()).filter(migration => !applied.has(migration.version));
+  }
+
+  // Apply every pending migration in version order; returns their names
+  async migrate() {
+    const done = [];
+    for (const migration of await this.pending()) {
+      await this.db.transaction(async () => {
+        await migration.up(this.db);
+        await this.db.run(
+          'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+          [migration.version, migration.name, Math.floor(Date.now() / 1000)]
+        );
+      });
+      console.log(`⬆️  Migrated ${migration.name}`);
+      done.push(migration.name);
+    }
+    return done;
+  }
+
+  // Revert the latest `steps` applied migrations; returns their names
+  async rollback(steps = 1) {
+    const migrations = await this.load();
+    const applied = (await this.applied()).reverse().slice(0, steps);
+    const done = [];
+
+    for (const row of applied) {
+      const migration = migrations.find(candidate => candidate.version === row.version);
+      if (!migration) {
+        throw new Error(`Migration file for ${row.name} not found`);
+      }
+      await this.db.transaction(async () => {
+        await migration.down(this.db);
+        await this.db.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+      });
+      console.log(`⬇️  Rolled back ${migration.name}`);
+      done.push(migration.name);
+    }
+    return done;
+  }
+}
+
+export default Migrator;
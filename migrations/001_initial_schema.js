@@ -0,0 +1,593 @@
+// Initial schema: every table and index Database.init created before
+// versioned migrations, written out for each database type. Databases created
+// by an older init already have the SQLite tables, so the columns added to
+// them since are added here when missing.
+
+const SQLITE_TABLES = [
+  `CREATE TABLE IF NOT EXISTS licenses (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    license_key TEXT UNIQUE NOT NULL,
+    user_email TEXT,
+    status TEXT DEFAULT 'active',
+    status_reason TEXT,
+    expiry_date INTEGER NOT NULL,
+    created_at INTEGER DEFAULT (strftime('%s', 'now')),
+    last_verified INTEGER,
+    activation_count INTEGER DEFAULT 0,
+    max_devices INTEGER DEFAULT 1,
+    plan_id INTEGER,
+    FOREIGN KEY (plan_id) REFERENCES plans(id)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS license_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    license_id INTEGER NOT NULL,
+    license_key TEXT NOT NULL,
+    event TEXT NOT NULL,
+    details TEXT,
+    actor TEXT,
+    created_at INTEGER DEFAULT (strftime('%s', 'now')),
+    FOREIGN KEY (license_id) REFERENCES licenses(id)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS plans (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT UNIQUE NOT NULL,
+    max_receivers INTEGER DEFAULT 1,
+    allowed_symbols TEXT,
+    allowed_masters TEXT,
+    allowed_risk_modes TEXT,
+    copy_pending_orders BOOLEAN DEFAULT 1,
+    created_at INTEGER DEFAULT (strftime('%s', 'now')),
+    updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+  )`,
+  
+  `CREATE TABLE IF NOT EXISTS trades (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    license_key TEXT,
+    symbol TEXT NOT NULL,
+    action TEXT NOT NULL,
+    volume REAL NOT NULL,
+    sl REAL,
+    tp REAL,
+    timestamp INTEGER DEFAULT (strftime('%s', 'now')),
+    executed BOOLEAN DEFAULT 0,
+    signal_seq INTEGER,
+    signal_type TEXT DEFAULT 'OPEN',
+    source TEXT DEFAULT 'master',
+    master_id INTEGER,
+    profit REAL,
+    FOREIGN KEY (license_key) REFERENCES licenses(license_key)
+  )`,
+  
+  `CREATE TABLE IF NOT EXISTS connections (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    connection_id TEXT UNIQUE NOT NULL,
+    type TEXT NOT NULL,
+    license_key TEXT,
+    ip_address TEXT,
+    account_name TEXT,
+    account_number TEXT,
+    account_balance REAL,
+    account_currency TEXT,
+    broker TEXT,
+    connected_at INTEGER DEFAULT (strftime('%s', 'now')),
+    last_ping INTEGER,
+    status TEXT DEFAULT 'active',
+    FOREIGN KEY (license_key) REFERENCES licenses(license_key)
+  )`,
+  
+  `CREATE TABLE IF NOT EXISTS logs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    level TEXT NOT NULL,
+    message TEXT NOT NULL,
+    metadata TEXT,
+    timestamp INTEGER DEFAULT (strftime('%s', 'now'))
+  )`,
+  
+  `CREATE TABLE IF NOT EXISTS admin_users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE NOT NULL,
+    email TEXT UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL,
+    role TEXT DEFAULT 'admin',
+    api_key TEXT UNIQUE,
+    status TEXT DEFAULT 'active',
+    last_login INTEGER,
+    created_at INTEGER DEFAULT (strftime('%s', 'now'))
+  )`,
+  
+  `CREATE TABLE IF NOT EXISTS user_sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    session_token TEXT UNIQUE NOT NULL,
+    ip_address TEXT,
+    user_agent TEXT,
+    expires_at INTEGER NOT NULL,
+    created_at INTEGER DEFAULT (strftime('%s', 'now')),
+    FOREIGN KEY (user_id) REFERENCES admin_users(id)
+  )`,
+  
+  `CREATE TABLE IF NOT EXISTS dashboard_settings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    setting_key TEXT NOT NULL,
+    setting_value TEXT,
+    updated_at INTEGER DEFAULT (strftime('%s', 'now')),
+    UNIQUE(user_id, setting_key),
+    FOREIGN KEY (user_id) REFERENCES admin_users(id)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS signals (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    signal_id TEXT UNIQUE NOT NULL,
+    source TEXT,
+    signal_type TEXT NOT NULL DEFAULT 'OPEN',
+    master_ticket TEXT,
+    symbol TEXT NOT NULL,
+    action TEXT NOT NULL,
+    volume REAL NOT NULL,
+    sl REAL,
+    tp REAL,
+    payload TEXT NOT NULL,
+    created_at INTEGER DEFAULT (strftime('%s', 'now'))
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS receiver_cursors (
+    license_key TEXT PRIMARY KEY,
+    acked_seq INTEGER NOT NULL DEFAULT 0,
+    delivered_seq INTEGER NOT NULL DEFAULT 0,
+    last_ack_at INTEGER,
+    updated_at INTEGER DEFAULT (strftime('%s', 'now')),
+    FOREIGN KEY (license_key) REFERENCES licenses(license_key)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS execution_reports (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    signal_seq INTEGER NOT NULL,
+    license_key TEXT NOT NULL,
+    connection_id TEXT,
+    status TEXT NOT NULL,
+    ticket TEXT,
+    fill_price REAL,
+    filled_volume REAL,
+    slippage REAL,
+    error_code INTEGER,
+    error_message TEXT,
+    profit REAL,
+    reported_at INTEGER DEFAULT (strftime('%s', 'now')),
+    UNIQUE(signal_seq, license_key),
+    FOREIGN KEY (signal_seq) REFERENCES signals(seq),
+    FOREIGN KEY (license_key) REFERENCES licenses(license_key)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS master_positions (
+    master_ticket TEXT PRIMARY KEY,
+    symbol TEXT NOT NULL,
+    action TEXT NOT NULL,
+    volume REAL NOT NULL,
+    sl REAL,
+    tp REAL,
+    open_seq INTEGER,
+    status TEXT DEFAULT 'open',
+    opened_at INTEGER DEFAULT (strftime('%s', 'now')),
+    closed_at INTEGER
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS position_mappings (
+    master_ticket TEXT NOT NULL,
+    license_key TEXT NOT NULL,
+    receiver_ticket TEXT NOT NULL,
+    volume REAL,
+    status TEXT DEFAULT 'open',
+    updated_at INTEGER DEFAULT (strftime('%s', 'now')),
+    PRIMARY KEY (master_ticket, license_key),
+    FOREIGN KEY (master_ticket) REFERENCES master_positions(master_ticket),
+    FOREIGN KEY (license_key) REFERENCES licenses(license_key)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS receiver_settings (
+    license_key TEXT PRIMARY KEY,
+    risk_mode TEXT DEFAULT 'multiplier',
+    fixed_lot REAL,
+    multiplier REAL DEFAULT 1,
+    risk_percent REAL,
+    account_balance REAL,
+    account_currency TEXT,
+    min_lot REAL,
+    max_lot REAL,
+    lot_step REAL,
+    contract_sizes TEXT,
+    broker TEXT,
+    updated_at INTEGER DEFAULT (strftime('%s', 'now')),
+    FOREIGN KEY (license_key) REFERENCES licenses(license_key)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS symbol_mappings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    scope TEXT NOT NULL,
+    scope_value TEXT NOT NULL,
+    rule_type TEXT NOT NULL,
+    source_symbol TEXT NOT NULL DEFAULT '',
+    target TEXT NOT NULL,
+    created_at INTEGER DEFAULT (strftime('%s', 'now')),
+    UNIQUE(scope, scope_value, rule_type, source_symbol)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS receiver_filters (
+    license_key TEXT PRIMARY KEY,
+    allowed_symbols TEXT,
+    blocked_symbols TEXT,
+    allowed_actions TEXT,
+    max_volume REAL,
+    trading_windows TEXT,
+    utc_offset INTEGER DEFAULT 0,
+    updated_at INTEGER DEFAULT (strftime('%s', 'now')),
+    FOREIGN KEY (license_key) REFERENCES licenses(license_key)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS filtered_signals (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    signal_seq INTEGER NOT NULL,
+    license_key TEXT NOT NULL,
+    symbol TEXT,
+    reason TEXT NOT NULL,
+    created_at INTEGER DEFAULT (strftime('%s', 'now')),
+    UNIQUE(signal_seq, license_key),
+    FOREIGN KEY (signal_seq) REFERENCES signals(seq),
+    FOREIGN KEY (license_key) REFERENCES licenses(license_key)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS master_api_keys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    key_hash TEXT UNIQUE NOT NULL,
+    key_prefix TEXT NOT NULL,
+    label TEXT,
+    account_number TEXT,
+    signing_secret TEXT,
+    signed_only BOOLEAN DEFAULT 0,
+    status TEXT DEFAULT 'active',
+    created_by TEXT,
+    created_at INTEGER DEFAULT (strftime('%s', 'now')),
+    last_used_at INTEGER,
+    revoked_at INTEGER
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS license_devices (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    license_key TEXT NOT NULL,
+    account_number TEXT NOT NULL,
+    fingerprint TEXT NOT NULL,
+    status TEXT DEFAULT 'active',
+    bound_at INTEGER DEFAULT (strftime('%s', 'now')),
+    last_seen INTEGER,
+    released_at INTEGER,
+    released_by TEXT,
+    UNIQUE(license_key, account_number, fingerprint),
+    FOREIGN KEY (license_key) REFERENCES licenses(license_key)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS request_nonces (
+    key_id INTEGER NOT NULL,
+    nonce TEXT NOT NULL,
+    expires_at INTEGER NOT NULL,
+    PRIMARY KEY (key_id, nonce)
+  )`
+];
+
+// The same tables for Postgres. Unix timestamps and ids are BIGINT, flags
+// SMALLINT. There are no foreign keys: SQLite does not enforce them, and the
+// server relies on that (master trades are logged under license_key 'master'
+// and the signal retention cleanup deletes signals that reports refer to).
+const POSTGRES_TABLES = [
+  `CREATE TABLE IF NOT EXISTS licenses (
+    id BIGSERIAL PRIMARY KEY,
+    license_key TEXT UNIQUE NOT NULL,
+    user_email TEXT,
+    status TEXT DEFAULT 'active',
+    status_reason TEXT,
+    expiry_date BIGINT NOT NULL,
+    created_at BIGINT DEFAULT (EXTRACT(EPOCH FROM NOW())::BIGINT),
+    last_verified BIGINT,
+    activation_count BIGINT DEFAULT 0,
+    max_devices BIGINT DEFAULT 1,
+    plan_id BIGINT
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS license_events (
+    id BIGSERIAL PRIMARY KEY,
+    license_id BIGINT NOT NULL,
+    license_key TEXT NOT NULL,
+    event TEXT NOT NULL,
+    details TEXT,
+    actor TEXT,
+    created_at BIGINT DEFAULT (EXTRACT(EPOCH FROM NOW())::BIGINT)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS plans (
+    id BIGSERIAL PRIMARY KEY,
+    name TEXT UNIQUE NOT NULL,
+    max_receivers BIGINT DEFAULT 1,
+    allowed_symbols TEXT,
+    allowed_masters TEXT,
+    allowed_risk_modes TEXT,
+    copy_pending_orders SMALLINT DEFAULT 1,
+    created_at BIGINT DEFAULT (EXTRACT(EPOCH FROM NOW())::BIGINT),
+    updated_at BIGINT DEFAULT (EXTRACT(EPOCH FROM NOW())::BIGINT)
+  )`,
+  
+  `CREATE TABLE IF NOT EXISTS trades (
+    id BIGSERIAL PRIMARY KEY,
+    license_key TEXT,
+    symbol TEXT NOT NULL,
+    action TEXT NOT NULL,
+    volume DOUBLE PRECISION NOT NULL,
+    sl DOUBLE PRECISION,
+    tp DOUBLE PRECISION,
+    timestamp BIGINT DEFAULT (EXTRACT(EPOCH FROM NOW())::BIGINT),
+    executed SMALLINT DEFAULT 0,
+    signal_seq BIGINT,
+    signal_type TEXT DEFAULT 'OPEN',
+    source TEXT DEFAULT 'master',
+    master_id BIGINT,
+    profit DOUBLE PRECISION
+  )`,
+  
+  `CREATE TABLE IF NOT EXISTS connections (
+    id BIGSERIAL PRIMARY KEY,
+    connection_id TEXT UNIQUE NOT NULL,
+    type TEXT NOT NULL,
+    license_key TEXT,
+    ip_address TEXT,
+    account_name TEXT,
+    account_number TEXT,
+    account_balance DOUBLE PRECISION,
+    account_currency TEXT,
+    broker TEXT,
+    connected_at BIGINT DEFAULT (EXTRACT(EPOCH FROM NOW())::BIGINT),
+    last_ping BIGINT,
+    status TEXT DEFAULT 'active'
+  )`,
+  
+  `CREATE TABLE IF NOT EXISTS logs (
+    id BIGSERIAL PRIMARY KEY,
+    level TEXT NOT NULL,
+    message TEXT NOT NULL,
+    metadata TEXT,
+    timestamp BIGINT DEFAULT (EXTRACT(EPOCH FROM NOW())::BIGINT)
+  )`,
+  
+  `CREATE TABLE IF NOT EXISTS admin_users (
+    id BIGSERIAL PRIMARY KEY,
+    username TEXT UNIQUE NOT NULL,
+    email TEXT UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL,
+    role TEXT DEFAULT 'admin',
+    api_key TEXT UNIQUE,
+    status TEXT DEFAULT 'active',
+    last_login BIGINT,
+    created_at BIGINT DEFAULT (EXTRACT(EPOCH FROM NOW())::BIGINT)
+  )`,
+  
+  `CREATE TABLE IF NOT EXISTS user_sessions (
+    id BIGSERIAL PRIMARY KEY,
+    user_id BIGINT NOT NULL,
+    session_token TEXT UNIQUE NOT NULL,
+    ip_address TEXT,
+    user_agent TEXT,
+    expires_at BIGINT NOT NULL,
+    created_at BIGINT DEFAULT (EXTRACT(EPOCH FROM NOW())::BIGINT)
+  )`,
+  
+  `CREATE TABLE IF NOT EXISTS dashboard_settings (
+    id BIGSERIAL PRIMARY KEY,
+    user_id BIGINT NOT NULL,
+    setting_key TEXT NOT NULL,
+    setting_value TEXT,
+    updated_at BIGINT DEFAULT (EXTRACT(EPOCH FROM NOW())::BIGINT),
+    UNIQUE(user_id, setting_key)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS signals (
+    seq BIGSERIAL PRIMARY KEY,
+    signal_id TEXT UNIQUE NOT NULL,
+    source TEXT,
+    signal_type TEXT NOT NULL DEFAULT 'OPEN',
+    master_ticket TEXT,
+    symbol TEXT NOT NULL,
+    action TEXT NOT NULL,
+    volume DOUBLE PRECISION NOT NULL,
+    sl DOUBLE PRECISION,
+    tp DOUBLE PRECISION,
+    payload TEXT NOT NULL,
+    created_at BIGINT DEFAULT (EXTRACT(EPOCH FROM NOW())::BIGINT)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS receiver_cursors (
+    license_key TEXT PRIMARY KEY,
+    acked_seq BIGINT NOT NULL DEFAULT 0,
+    delivered_seq BIGINT NOT NULL DEFAULT 0,
+    last_ack_at BIGINT,
+    updated_at BIGINT DEFAULT (EXTRACT(EPOCH FROM NOW())::BIGINT)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS execution_reports (
+    id BIGSERIAL PRIMARY KEY,
+    signal_seq BIGINT NOT NULL,
+    license_key TEXT NOT NULL,
+    connection_id TEXT,
+    status TEXT NOT NULL,
+    ticket TEXT,
+    fill_price DOUBLE PRECISION,
+    filled_volume DOUBLE PRECISION,
+    slippage DOUBLE PRECISION,
+    error_code BIGINT,
+    error_message TEXT,
+    profit DOUBLE PRECISION,
+    reported_at BIGINT DEFAULT (EXTRACT(EPOCH FROM NOW())::BIGINT),
+    UNIQUE(signal_seq, license_key)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS master_positions (
+    master_ticket TEXT PRIMARY KEY,
+    symbol TEXT NOT NULL,
+    action TEXT NOT NULL,
+    volume DOUBLE PRECISION NOT NULL,
+    sl DOUBLE PRECISION,
+    tp DOUBLE PRECISION,
+    open_seq BIGINT,
+    status TEXT DEFAULT 'open',
+    opened_at BIGINT DEFAULT (EXTRACT(EPOCH FROM NOW())::BIGINT),
+    closed_at BIGINT
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS position_mappings (
+    master_ticket TEXT NOT NULL,
+    license_key TEXT NOT NULL,
+    receiver_ticket TEXT NOT NULL,
+    volume DOUBLE PRECISION,
+    status TEXT DEFAULT 'open',
+    updated_at BIGINT DEFAULT (EXTRACT(EPOCH FROM NOW())::BIGINT),
+    PRIMARY KEY (master_ticket, license_key)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS receiver_settings (
+    license_key TEXT PRIMARY KEY,
+    risk_mode TEXT DEFAULT 'multiplier',
+    fixed_lot DOUBLE PRECISION,
+    multiplier DOUBLE PRECISION DEFAULT 1,
+    risk_percent DOUBLE PRECISION,
+    account_balance DOUBLE PRECISION,
+    account_currency TEXT,
+    min_lot DOUBLE PRECISION,
+    max_lot DOUBLE PRECISION,
+    lot_step DOUBLE PRECISION,
+    contract_sizes TEXT,
+    broker TEXT,
+    updated_at BIGINT DEFAULT (EXTRACT(EPOCH FROM NOW())::BIGINT)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS symbol_mappings (
+    id BIGSERIAL PRIMARY KEY,
+    scope TEXT NOT NULL,
+    scope_value TEXT NOT NULL,
+    rule_type TEXT NOT NULL,
+    source_symbol TEXT NOT NULL DEFAULT '',
+    target TEXT NOT NULL,
+    created_at BIGINT DEFAULT (EXTRACT(EPOCH FROM NOW())::BIGINT),
+    UNIQUE(scope, scope_value, rule_type, source_symbol)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS receiver_filters (
+    license_key TEXT PRIMARY KEY,
+    allowed_symbols TEXT,
+    blocked_symbols TEXT,
+    allowed_actions TEXT,
+    max_volume DOUBLE PRECISION,
+    trading_windows TEXT,
+    utc_offset BIGINT DEFAULT 0,
+    updated_at BIGINT DEFAULT (EXTRACT(EPOCH FROM NOW())::BIGINT)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS filtered_signals (
+    id BIGSERIAL PRIMARY KEY,
+    signal_seq BIGINT NOT NULL,
+    license_key TEXT NOT NULL,
+    symbol TEXT,
+    reason TEXT NOT NULL,
+    created_at BIGINT DEFAULT (EXTRACT(EPOCH FROM NOW())::BIGINT),
+    UNIQUE(signal_seq, license_key)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS master_api_keys (
+    id BIGSERIAL PRIMARY KEY,
+    key_hash TEXT UNIQUE NOT NULL,
+    key_prefix TEXT NOT NULL,
+    label TEXT,
+    account_number TEXT,
+    signing_secret TEXT,
+    signed_only SMALLINT DEFAULT 0,
+    status TEXT DEFAULT 'active',
+    created_by TEXT,
+    created_at BIGINT DEFAULT (EXTRACT(EPOCH FROM NOW())::BIGINT),
+    last_used_at BIGINT,
+    revoked_at BIGINT
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS license_devices (
+    id BIGSERIAL PRIMARY KEY,
+    license_key TEXT NOT NULL,
+    account_number TEXT NOT NULL,
+    fingerprint TEXT NOT NULL,
+    status TEXT DEFAULT 'active',
+    bound_at BIGINT DEFAULT (EXTRACT(EPOCH FROM NOW())::BIGINT),
+    last_seen BIGINT,
+    released_at BIGINT,
+    released_by TEXT,
+    UNIQUE(license_key, account_number, fingerprint)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS request_nonces (
+    key_id BIGINT NOT NULL,
+    nonce TEXT NOT NULL,
+    expires_at BIGINT NOT NULL,
+    PRIMARY KEY (key_id, nonce)
+  )`
+];
+
+// Columns added to the SQLite tables after they were first created
+const ADDED_COLUMNS = {
+  licenses: ['status_reason TEXT', 'max_devices INTEGER DEFAULT 1', 'plan_id INTEGER'],
+  trades: [
+    'signal_seq INTEGER', "signal_type TEXT DEFAULT 'OPEN'", "source TEXT DEFAULT 'master'",
+    'master_id INTEGER', 'profit REAL'
+  ],
+  signals: ["signal_type TEXT NOT NULL DEFAULT 'OPEN'", 'master_ticket TEXT'],
+  receiver_settings: ['broker TEXT'],
+  master_api_keys: ['signing_secret TEXT', 'signed_only BOOLEAN DEFAULT 0'],
+  execution_reports: ['profit REAL']
+};
+
+// Indexes for both database types
+const INDEXES = [
+  'CREATE INDEX IF NOT EXISTS idx_licenses_key ON licenses(license_key)',
+  'CREATE INDEX IF NOT EXISTS idx_connections_id ON connections(connection_id)',
+  'CREATE INDEX IF NOT EXISTS idx_trades_timestamp ON trades(timestamp)',
+  'CREATE INDEX IF NOT EXISTS idx_admin_users_email ON admin_users(email)',
+  'CREATE INDEX IF NOT EXISTS idx_user_sessions_token ON user_sessions(session_token)',
+  'CREATE INDEX IF NOT EXISTS idx_dashboard_settings_user ON dashboard_settings(user_id)',
+  'CREATE INDEX IF NOT EXISTS idx_signals_created ON signals(created_at)',
+  'CREATE INDEX IF NOT EXISTS idx_trades_signal ON trades(signal_seq)',
+  'CREATE INDEX IF NOT EXISTS idx_execution_reports_license ON execution_reports(license_key)',
+  'CREATE INDEX IF NOT EXISTS idx_filtered_signals_license ON filtered_signals(license_key)',
+  'CREATE INDEX IF NOT EXISTS idx_license_events_license ON license_events(license_id)'
+];
+
+export async function up(db) {
+  if (db.driver.dialect === 'postgres') {
+    for (const sql of POSTGRES_TABLES) {
+      await db.run(sql);
+    }
+  } else {
+    for (const sql of SQLITE_TABLES) {
+      await db.run(sql);
+    }
+    for (const [table, columns] of Object.entries(ADDED_COLUMNS)) {
+      const existing = await db.driver.columns(table);
+      for (const column of columns) {
+        if (!existing.includes(column.split(' ')[0])) {
+          await db.run(`ALTER TABLE ${table} ADD COLUMN ${column}`);
+        }
+      }
+    }
+  }
+  for (const sql of INDEXES) {
+    await db.run(sql);
+  }
+}
+
+// Rolling back would drop every table and the data in it, including
+// databases that predate migrations, so this migration cannot be reverted
+export async function down() {
+  throw new Error('001_initial_schema cannot be rolled back');
+}
@@ -0,0 +1,111 @@
+// Master positions and their receiver mappings are keyed by the sending master
+// as well as its ticket, so two masters using the same ticket numbers no longer
+// share a position. Existing positions are assigned to the master whose key
+// sent their OPEN signal while that signal is still queued, the rest get an
+// empty master_id.
+
+const MASTER_POSITION_COLUMNS = 'master_ticket, symbol, action, volume, sl, tp, open_seq, status, opened_at, closed_at';
+const POSITION_MAPPING_COLUMNS = 'master_ticket, license_key, receiver_ticket, volume, status, updated_at';
+
+// SQLite cannot change a primary key in place, so both tables are copied into
+// new ones
+async function rebuildSqlite(db, withMasterId) {
+  const masterId = withMasterId ? "master_id TEXT NOT NULL DEFAULT ''," : '';
+  const key = withMasterId ? 'master_id, ' : '';
+
+  await db.run(`CREATE TABLE master_positions_new (
+    ${masterId}
+    master_ticket TEXT NOT NULL,
+    symbol TEXT NOT NULL,
+    action TEXT NOT NULL,
+    volume REAL NOT NULL,
+    sl REAL,
+    tp REAL,
+    open_seq INTEGER,
+    status TEXT DEFAULT 'open',
+    opened_at INTEGER DEFAULT (strftime('%s', 'now')),
+    closed_at INTEGER,
+    PRIMARY KEY (${key}master_ticket)
+  )`);
+  await db.run(`CREATE TABLE position_mappings_new (
+    ${masterId}
+    master_ticket TEXT NOT NULL,
+    license_key TEXT NOT NULL,
+    receiver_ticket TEXT NOT NULL,
+    volume REAL,
+    status TEXT DEFAULT 'open',
+    updated_at INTEGER DEFAULT (strftime('%s', 'now')),
+    PRIMARY KEY (${key}master_ticket, license_key),
+    FOREIGN KEY (license_key) REFERENCES licenses(license_key)
+  )`);
+
+  // Going back, the same ticket of several masters keeps only the oldest row
+  await db.run(
+    `INSERT INTO master_positions_new (${MASTER_POSITION_COLUMNS})
+     SELECT ${MASTER_POSITION_COLUMNS} FROM master_positions WHERE true ORDER BY opened_at ON CONFLICT DO NOTHING`
+  );
+  await db.run(
+    `INSERT INTO position_mappings_new (${POSITION_MAPPING_COLUMNS})
+     SELECT ${POSITION_MAPPING_COLUMNS} FROM position_mappings WHERE true ORDER BY updated_at ON CONFLICT DO NOTHING`
+  );
+
+  for (const table of ['master_positions', 'position_mappings']) {
+    await db.run(`DROP TABLE ${table}`);
+    await db.run(`ALTER TABLE ${table}_new RENAME TO ${table}`);
+  }
+}
+
+// Same identity as masterIdentity() in server.js
+async function assignMasters(db) {
+  await db.run(
+    `UPDATE master_positions SET master_id = COALESCE((
+       SELECT CASE WHEN k.account_number IS NOT NULL AND k.account_number <> ''
+         THEN 'account:' || k.account_number ELSE 'key:' || k.id END
+       FROM signals s JOIN master_api_keys k ON s.source = 'master:' || k.id
+       WHERE s.seq = master_positions.open_seq
+     ), '')`
+  );
+  // Tickets were unique before this migration
+  await db.run(
+    `UPDATE position_mappings SET master_id = COALESCE((
+       SELECT p.master_id FROM master_positions p WHERE p.master_ticket = position_mappings.master_ticket
+     ), '')`
+  );
+}
+
+export async function up(db) {
+  if (db.driver.dialect === 'postgres') {
+    await db.run("ALTER TABLE master_positions ADD COLUMN master_id TEXT NOT NULL DEFAULT ''");
+    await db.run('ALTER TABLE master_positions DROP CONSTRAINT master_positions_pkey');
+    await db.run('ALTER TABLE master_positions ADD PRIMARY KEY (master_id, master_ticket)');
+    await db.run("ALTER TABLE position_mappings ADD COLUMN master_id TEXT NOT NULL DEFAULT ''");
+    await db.run('ALTER TABLE position_mappings DROP CONSTRAINT position_mappings_pkey');
+    await db.run('ALTER TABLE position_mappings ADD PRIMARY KEY (master_id, master_ticket, license_key)');
+  } else {
+    await rebuildSqlite(db, true);
+  }
+  await assignMasters(db);
+}
+
+export async function down(db) {
+  if (db.driver.dialect === 'postgres') {
+    // Going back, the same ticket of several masters keeps only the oldest row
+    await db.run(
+      `DELETE FROM master_positions p USING master_positions o
+       WHERE p.master_ticket = o.master_ticket AND (p.opened_at, p.master_id) > (o.opened_at, o.master_id)`
+    );
+    await db.run(
+      `DELETE FROM position_mappings p USING position_mappings o
+       WHERE p.master_ticket = o.master_ticket AND p.license_key = o.license_key
+         AND (p.updated_at, p.master_id) > (o.updated_at, o.master_id)`
+    );
+    await db.run('ALTER TABLE position_mappings DROP CONSTRAINT position_mappings_pkey');
+    await db.run('ALTER TABLE position_mappings DROP COLUMN master_id');
+    await db.run('ALTER TABLE position_mappings ADD PRIMARY KEY (master_ticket, license_key)');
+    await db.run('ALTER TABLE master_positions DROP CONSTRAINT master_positions_pkey');
+    await db.run('ALTER TABLE master_positions DROP COLUMN master_id');
+    await db.run('ALTER TABLE master_positions ADD PRIMARY KEY (master_ticket)');
+  } else {
+    await rebuildSqlite(db, false);
+  }
+}
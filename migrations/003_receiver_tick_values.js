@@ -0,0 +1,10 @@
+// Tick size and tick value per symbol reported by receivers, for risk-percent
+// sizing in the receiver's account currency
+
+export async function up(db) {
+  await db.run('ALTER TABLE receiver_settings ADD COLUMN tick_values TEXT');
+}
+
+export async function down(db) {
+  await db.run('ALTER TABLE receiver_settings DROP COLUMN tick_values');
+}
@@ -0,0 +1,103 @@
+// License plans (Basic/Pro/VIP...) and the entitlements they grant
+
+import LotSizing from './sizing.js';
+
+const PENDING_ORDER_PATTERN = /LIMIT|STOP/;
+
+const parseList = (value) => (value ? JSON.parse(value) : null);
+
+class Plans {
+  // Validate plan fields sent by an admin and convert them to plans columns.
+  // Returns { plan } or { error }.
+  static validate(input) {
+    if (!input.name || typeof input.name !== 'string') {
+      return { error: 'Plan name required' };
+    }
+
+    const maxReceivers = input.maxReceivers === undefined ? 1 : input.maxReceivers;
+    if (!Number.isInteger(maxReceivers) || maxReceivers < 1) {
+      return { error: 'maxReceivers must be a positive integer' };
+    }
+
+    for (const field of ['allowedSymbols', 'allowedMasters', 'allowedRiskModes']) {
+      if (input[field] !== undefined && input[field] !== null && !Array.isArray(input[field])) {
+        return { error: `${field} must be an array` };
+      }
+    }
+
+    let riskModes = null;
+    if (input.allowedRiskModes) {
+      riskModes = input.allowedRiskModes.map(mode => LotSizing.normalizeMode(mode));
+      if (riskModes.includes(null)) {
+        return { error: 'Unknown risk mode in allowedRiskModes' };
+      }
+    }
+
+    return {
+      plan: {
+        name: input.name.trim(),
+        max_receivers: maxReceivers,
+        allowed_symbols: input.allowedSymbols
+          ? JSON.stringify(input.allowedSymbols.map(symbol => String(symbol).toUpperCase()))
+          : null,
+        allowed_masters: input.allowedMasters ? JSON.stringify(input.allowedMasters.map(String)) : null,
+        allowed_risk_modes: riskModes ? JSON.stringify(riskModes) : null,
+        copy_pending_orders: input.copyPendingOrders === false ? 0 : 1
+      }
+    };
+  }
+
+  // Entitlements as returned to the EA and admin dashboard; a license without
+  // a plan is only limited by its device binding
+  static entitlements(plan) {
+    if (!plan) {
+      return {
+        plan: null,
+        maxReceivers: null,
+        allowedSymbols: null,
+        allowedMasters: null,
+        allowedRiskModes: null,
+        copyPendingOrders: true
+      };
+    }
+
+    return {
+      plan: plan.name,
+      maxReceivers: plan.max_receivers,
+      allowedSymbols: parseList(plan.allowed_symbols),
+      allowedMasters: parseList(plan.allowed_masters),
+      allowedRiskModes: parseList(plan.allowed_risk_modes),
+      copyPendingOrders: !!plan.copy_pending_orders
+    };
+  }
+
+  static allowsRiskMode(plan, riskMode) {
+    const allowed = plan ? parseList(plan.allowed_risk_modes) : null;
+    return !allowed || allowed.includes(riskMode);
+  }
+
+  // Reason an OPEN signal is outside the plan, or null if it is included
+  static checkSignal(signal, plan) {
+    if (!plan || (signal.signalType && signal.signalType !== 'OPEN')) {
+      return null;
+    }
+
+    const symbols = parseList(plan.allowed_symbols);
+    if (symbols && !symbols.includes(String(signal.symbol).toUpperCase())) {
+      return `Symbol ${signal.symbol} not included in plan ${plan.name}`;
+    }
+
+    const masters = parseList(plan.allowed_masters);
+    if (masters && !masters.includes(String(signal.masterAccount))) {
+      return `Master not included in plan ${plan.name}`;
+    }
+
+    if (!plan.copy_pending_orders && PENDING_ORDER_PATTERN.test(String(signal.action).toUpperCase())) {
+      return `Pending orders not included in plan ${plan.name}`;
+    }
+
+    return null;
+  }
+}
+
+export default Plans;
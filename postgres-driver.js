@@ -0,0 +1,135 @@
+import pg from 'pg';
+import { AsyncLocalStorage } from 'async_hooks';
+
+// PostgreSQL storage driver (DB_TYPE=postgres), a pool of connections.
+// Database writes `?` placeholders, which are numbered as $1, $2... here.
+
+// BIGINT columns (ids, unix timestamps, COUNT) and NUMERIC arrive as strings
+pg.types.setTypeParser(pg.types.builtins.INT8, value => parseInt(value));
+pg.types.setTypeParser(pg.types.builtins.NUMERIC, value => parseFloat(value));
+
+class PostgresDriver {
+  constructor({ host, port, database, user, password, poolSize = 10 }) {
+    this.options = { host, port, database, user, password, max: poolSize };
+    this.pool = null;
+    this.dialect = 'postgres';
+    // The client of the transaction the current async call chain runs in
+    this.context = new AsyncLocalStorage();
+  }
+
+  async connect() {
+    this.pool = new pg.Pool(this.options);
+    // A connection that drops while idle is replaced by the pool; without a
+    // listener the error would end the process
+    this.pool.on('error', err => console.error('❌ Database connection lost:', err.message));
+
+    try {
+      const client = await this.pool.connect();
+      client.release();
+      console.log(`✅ Database connected (postgres ${this.options.host}:${this.options.port}/${this.options.database})`);
+    } catch (err) {
+      console.error('❌ Database connection error:', err);
+      throw err;
+    }
+  }
+
+  greatest(a, b) {
+    return `GREATEST(${a}, ${b})`;
+  }
+
+  least(a, b) {
+    return `LEAST(${a}, ${b})`;
+  }
+
+  // Row lock held until the running transaction ends
+  forUpdate() {
+    return ' FOR UPDATE';
+  }
+
+  // Number `?` placeholders as $1, $2... A `?` inside a string literal, quoted
+  // identifier or comment is left alone.
+  static placeholders(sql) {
+    let index = 0;
+    let text = '';
+
+    for (let i = 0; i < sql.length; i++) {
+      const char = sql[i];
+      const close = char === "'" || char === '"' ? char
+        : sql.startsWith('--', i) ? '\n'
+        : sql.startsWith('/*', i) ? '*/'
+        : null;
+
+      if (close) {
+        // Copied as it is. An escaped quote ('') ends one literal and starts
+        // the next, which comes out the same.
+        const end = sql.indexOf(close, i + (char === '/' ? 2 : 1));
+        const next = end === -1 ? sql.length : end + close.length;
+        text += sql.slice(i, next);
+        i = next - 1;
+      } else {
+        text += char === '?' ? `$${++index}` : char;
+      }
+    }
+    return text;
+  }
+
+  // Queries inside transaction() use its client, all others any pooled one
+  query(sql, params = []) {
+    const client = this.context.getStore() || this.pool;
+    return client.query(PostgresDriver.placeholders(sql), params);
+  }
+
+  // Run fn in a transaction on a client of its own, so concurrent transactions
+  // never share a session. Calls made inside a transaction join it.
+  async transaction(fn) {
+    if (this.context.getStore()) {
+      return fn();
+    }
+
+    const client = await this.pool.connect();
+    let broken;
+    try {
+      await client.query('BEGIN');
+      try {
+        const result = await this.context.run(client, fn);
+        await client.query('COMMIT');
+        return result;
+      } catch (err) {
+        await client.query('ROLLBACK').catch((rollbackErr) => {
+          broken = rollbackErr;
+        });
+        throw err;
+      }
+    } finally {
+      // A client that could not roll back is discarded instead of reused
+      client.release(broken);
+    }
+  }
+
+  async run(sql, params = []) {
+    try {
+      const result = await this.query(sql, params);
+      return { lastID: null, changes: result.rowCount || 0 };
+    } catch (err) {
+      console.error('❌ Database query error:', err);
+      throw err;
+    }
+  }
+
+  async get(sql, params = []) {
+    const result = await this.query(sql, params);
+    return result.rows[0];
+  }
+
+  async all(sql, params = []) {
+    const result = await this.query(sql, params);
+    return result.rows;
+  }
+
+  async close() {
+    await this.pool.end();
+    console.log('Database closed');
+  }
+}
+
+export default PostgresDriver;
@@ -1,24 +1,42 @@
 import express from 'express';
-import { WebSocketServer } from 'ws';
+import { WebSocketServer, WebSocket } from 'ws';
 import cors from 'cors';
-import dotenv from 'dotenv';
 import { v4 as uuidv4 } from 'uuid';
+import proxyaddr from 'proxy-addr';
 import Database from './database.js';
 import Auth from './auth.js';
-
-dotenv.config();
+import LotSizing from './sizing.js';
+import SymbolMapper from './symbols.js';
+import SignalFilter from './filters.js';
+import Plans from './plans.js';
+import Csv from './csv.js';
+import Analytics from './analytics.js';
+import SseChannel from './sse.js';
+import Migrator from './migrations.js';
+import Lockouts from './lockouts.js';
+import config from './config.js';
 
 const app = express();
-const PORT = process.env.PORT || 8080;
-const API_SECRET = process.env.API_SECRET || 'change-this-secret-key-in-production';
+const PORT = config.port;
+// Behind a reverse proxy, req.ip is the client address from X-Forwarded-For
+// only for the proxies TRUST_PROXY names
+app.set('trust proxy', config.trustProxy);
 
 // Initialize database and auth
-const db = new Database();
-const auth = new Auth(API_SECRET);
+const db = Database.create(config);
+// Set ALLOW_SECRET_AUTH=false once admins log in with their own accounts
+const auth = new Auth(config.apiSecret, db, {
+  allowSecret: config.allowSecretAuth,
+  licenseSigningKey: Auth.loadLicenseSigningKey({
+    pem: config.licenseSigningKey,
+    file: config.licenseSigningKeyFile
+  })
+});
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Keep the raw body for verifying signed master requests
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf.toString(); } }));
 app.use(express.urlencoded({ extended: true }));
 
 // Request logging middleware
@@ -27,12 +45,129 @@ app.use((req, res, next) => {
   next();
 });
 
+function requestLicenseKey(req) {
+  return (req.body && req.body.licenseKey) || req.query.licenseKey || req.headers['x-license-key'];
+}
+
+function requestMasterKey(req) {
+  const apiKey = req.headers['x-master-key'] || (req.body && req.body.apiKey);
+  return apiKey ? Auth.hashToken(String(apiKey)) : req.headers['x-sp-key-id'];
+}
+
+// Rate limits per RATE_LIMIT_WINDOW. Each class of endpoint has its own budget,
+// counted per client IP and, where there is one, per license or master API
+// key, so receivers polling for signals do not use up the budget for license
+// checks and the other way round.
+function rateLimits(limit, keyFor) {
+  const options = { limit, windowMs: config.rateLimitWindow };
+  const limiters = [auth.createRateLimiter(options)];
+  if (keyFor) {
+    limiters.push(auth.createRateLimiter({ ...options, keyFor }));
+  }
+  return limiters;
+}
+
+const licenseLimits = rateLimits(config.rateLimitRequests, requestLicenseKey);
+const signalLimits = rateLimits(config.rateLimitSignalRequests, requestLicenseKey);
+const masterLimits = rateLimits(config.rateLimitMasterRequests, requestMasterKey);
+const heartbeatLimits = rateLimits(config.rateLimitHeartbeatRequests);
+const loginLimits = rateLimits(config.rateLimitRequests);
+
+// Client IPs that keep sending unknown license keys are locked out, for longer
+// each time
+const licenseLockouts = new Lockouts({
+  threshold: config.lockoutThreshold,
+  windowMs: config.rateLimitWindow,
+  durationMs: config.lockoutDuration,
+  maxDurationMs: config.lockoutMaxDuration
+});
+
+// A locked-out client is refused whatever key it sends, so the lockout never
+// tells a valid key apart from an invalid one
+function rejectLockedOut(req, res, next) {
+  const remaining = licenseLockouts.remaining(req.ip);
+  if (remaining > 0) {
+    const retryAfter = Math.ceil(remaining / 1000);
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ success: false, code: 'LOCKED_OUT', message: 'Too many invalid license attempts', retryAfter });
+  }
+  next();
+}
+
+// Middleware for public endpoints that take a license key: license checks and
+// the receiver signal endpoints
+const licenseGuard = [...licenseLimits, rejectLockedOut];
+const signalGuard = [...signalLimits, rejectLockedOut];
+
+// Device binding
+const DEFAULT_MAX_DEVICES = config.defaultMaxDevices;
+const SELF_RELEASE_COOLDOWN = 24 * 60 * 60; // 24 hours
+
+// Offline license tokens: EAs refresh after the TTL and may run without the
+// server for the grace period after that
+const LICENSE_TOKEN_TTL = config.licenseTokenTtl;
+const LICENSE_GRACE_PERIOD = config.licenseGracePeriod;
+
+// Bulk license generation and CSV import
+const LICENSE_BATCH_LIMIT = 1000;
+const LICENSE_EXPORT_COLUMNS = [
+  'license_key', 'user_email', 'status', 'status_reason', 'plan', 'expiry_date',
+  'max_devices', 'activation_count', 'created_at', 'last_verified'
+];
+
+// A receiver counts towards its plan's limit until its connection times out
+const RECEIVER_ACTIVE_WINDOW = Math.floor(config.connectionTimeout / 1000); // seconds
+
+// Admin session lifetime
+const SESSION_TTL = 12 * 60 * 60; // 12 hours
+
+// Dashboard settings are JSON values stored per admin
+const SETTING_KEY_PATTERN = /^[A-Za-z0-9_.:-]{1,64}$/;
+const SETTING_MAX_BYTES = 16 * 1024;
+const SETTINGS_PER_ADMIN = 200;
+
+// Signal queue settings
+const SIGNAL_RETENTION = config.signalRetention; // seconds
+const SIGNAL_BATCH_LIMIT = 100;
+
+// HTTP receivers: longest long-poll wait and SSE keepalive interval
+const LONG_POLL_MAX_WAIT = 30; // seconds
+const SSE_KEEPALIVE = 25000; // 25 seconds
+const EXECUTION_STATUSES = ['filled', 'partial', 'rejected'];
+
+// Trade history paging and export
+const TRADE_SORT_COLUMNS = ['timestamp', 'id', 'symbol', 'volume'];
+const TRADE_PAGE_LIMIT = 500;
+const TRADE_EXPORT_LIMIT = 50000;
+const TRADE_EXPORT_COLUMNS = [
+  'id', 'timestamp', 'source', 'license_key', 'signal_seq', 'signal_type', 'symbol', 'action',
+  'volume', 'sl', 'tp', 'executed', 'execution_status', 'receiver_ticket', 'fill_price',
+  'filled_volume', 'slippage', 'error_code', 'error_message'
+];
+const SIGNAL_TYPES = ['OPEN', 'MODIFY', 'CLOSE', 'PARTIAL_CLOSE'];
+// The trade fields a master may set; everything else on a signal is the server's
+const MASTER_TRADE_FIELDS = ['symbol', 'action', 'volume', 'sl', 'tp', 'price', 'signalType', 'masterTicket', 'licenseKey', 'profit'];
+
 // Server state
 const connections = {
   masters: new Map(),
-  receivers: new Map()
+  receivers: new Map(),
+  admins: new Map()
 };
 
+// Long-polling get-signals requests waiting for the next signal
+const signalWaiters = new Set();
+
+// Topics of the admin event stream (WebSocket register-admin)
+const ADMIN_TOPICS = ['connections', 'signals', 'licenses', 'errors'];
+
+// Warnings and errors written to the log are streamed to admins
+db.on('log', (entry) => {
+  if (entry.level === 'warn' || entry.level === 'error') {
+    emitAdminEvent('errors', entry.level, { message: entry.message, metadata: entry.metadata });
+  }
+});
+
 // HTTP API Routes
 
 // Health check
@@ -54,7 +189,7 @@ app.get('/api/health', async (req, res) => {
 });
 
 // License verification
-app.post('/api/verify-license', async (req, res) => {
+app.post('/api/verify-license', licenseGuard, async (req, res) => {
   try {
     const { licenseKey } = req.body;
     
@@ -62,33 +197,38 @@ app.post('/api/verify-license', async (req, res) => {
       return res.status(400).json({ success: false, message: 'License key required' });
     }
     
-    const license = await db.getLicense(licenseKey);
+    const license = await getReceiverLicense(req.ip, licenseKey);
+    const licenseError = checkLicense(license);
     
-    if (!license) {
-      await db.log('info', 'License verification failed', { licenseKey, reason: 'not_found' });
-      return res.json({ success: false, message: 'Invalid license' });
+    if (licenseError) {
+      await db.log('info', 'License verification failed', { licenseKey, reason: licenseError.code });
+      emitAdminEvent('licenses', 'verification-failed', { licenseKey, code: licenseError.code, ip: req.ip });
+      return res.json({ success: false, code: licenseError.code, message: licenseError.message });
     }
     
-    const now = Math.floor(Date.now() / 1000);
-    const expiryTime = license.expiry_date;
-    
-    if (license.status !== 'active') {
-      return res.json({ success: false, message: 'License inactive' });
+    const binding = await bindLicenseDevice(license, req.body.accountNumber, req.body.fingerprint);
+    if (binding.code) {
+      await db.log('warn', 'License verification failed', { licenseKey, reason: binding.code, accountNumber: req.body.accountNumber });
+      emitAdminEvent('licenses', 'verification-failed', { licenseKey, code: binding.code, accountNumber: req.body.accountNumber, ip: req.ip });
+      return res.json({ success: false, code: binding.code, message: binding.message });
     }
     
-    if (now > expiryTime) {
-      return res.json({ success: false, message: 'License expired' });
-    }
+    const expiryTime = license.expiry_date;
+    
+    const plan = await db.getLicensePlan(licenseKey);
     
-    // Update last verified (only increments activation_count on first verify)
     await db.updateLicenseVerified(licenseKey);
-    await db.log('info', 'License verified', { licenseKey, user: license.user_email });
+    await db.log('info', 'License verified', { licenseKey, user: license.user_email, deviceId: binding.device.id });
+    emitAdminEvent('licenses', 'verified', { licenseKey, deviceId: binding.device.id, accountNumber: binding.device.account_number, ip: req.ip });
     
     res.json({
       success: true,
       active: true,
       expiry: expiryTime * 1000,
-      user: license.user_email
+      user: license.user_email,
+      deviceId: binding.device.id,
+      entitlements: Plans.entitlements(plan),
+      ...issueLicenseToken(license, binding.device, plan)
     });
   } catch (err) {
     console.error('License verification error:', err);
@@ -96,496 +236,2953 @@ app.post('/api/verify-license', async (req, res) => {
   }
 });
 
-// Create license (protected)
-app.post('/api/create-license', auth.authenticate.bind(auth), async (req, res) => {
+// Exchange a license token for a fresh one while the license and device are still valid
+app.post('/api/refresh-license-token', licenseLimits, async (req, res) => {
   try {
-    const { user, expiryDays = 365 } = req.body;
+    const payload = auth.verifyLicenseToken(req.body.token);
+    if (!payload) {
+      return res.status(401).json({ success: false, code: 'TOKEN_INVALID', message: 'Invalid or expired license token' });
+    }
     
-    if (!user) {
-      return res.status(400).json({ success: false, message: 'User email required' });
+    const license = await db.getLicense(payload.sub);
+    const licenseError = checkLicense(license);
+    if (licenseError) {
+      await db.log('info', 'License token refresh failed', { licenseKey: payload.sub, reason: licenseError.code });
+      emitAdminEvent('licenses', 'token-refresh-failed', { licenseKey: payload.sub, code: licenseError.code, ip: req.ip });
+      return res.status(403).json({ success: false, code: licenseError.code, message: licenseError.message });
     }
     
-    const licenseKey = Auth.generateLicenseKey();
-    const expiryDate = Math.floor(Date.now() / 1000) + (expiryDays * 24 * 60 * 60);
+    const device = await db.getLicenseDevice(license.license_key, payload.acct, payload.fp);
+    if (!device || device.status !== 'active') {
+      return res.status(409).json({ success: false, code: 'DEVICE_NOT_BOUND', message: 'This device is not bound to the license' });
+    }
     
-    await db.createLicense(licenseKey, user, expiryDate);
-    await db.log('info', 'License created', { licenseKey, user, expiryDays });
+    await db.touchLicenseDevice(device.id);
+    await db.updateLicenseVerified(license.license_key);
+    emitAdminEvent('licenses', 'token-refreshed', { licenseKey: license.license_key, deviceId: device.id, ip: req.ip });
+    const plan = await db.getLicensePlan(license.license_key);
     
     res.json({
       success: true,
-      licenseKey: licenseKey,
-      expiry: expiryDate * 1000,
-      user: user
+      expiry: license.expiry_date * 1000,
+      entitlements: Plans.entitlements(plan),
+      ...issueLicenseToken(license, device, plan)
     });
   } catch (err) {
-    console.error('License creation error:', err);
+    console.error('License token refresh error:', err);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// Get all licenses
-app.get('/api/licenses', auth.authenticate.bind(auth), async (req, res) => {
-  try {
-    const licenses = await db.getAllLicenses();
-    res.json({ success: true, licenses });
-  } catch (err) {
-    console.error('Get licenses error:', err);
-    res.status(500).json({ success: false, message: 'Server error' });
-  }
+// Public key for verifying license tokens offline
+app.get('/api/license-public-key', (req, res) => {
+  const { alg, kid, pem } = auth.licensePublicKey;
+  res.json({ success: true, alg, kid, publicKey: pem });
 });
 
-// Deactivate license
-app.post('/api/deactivate-license', auth.authenticate.bind(auth), async (req, res) => {
+// Checked against when the username is unknown, so failed logins take as long
+// whether or not the account exists
+const dummyPasswordHash = Auth.hashPassword(uuidv4());
+
+// Admin login
+app.post('/api/auth/login', loginLimits, async (req, res) => {
   try {
-    const { licenseKey } = req.body;
-    await db.deactivateLicense(licenseKey);
-    await db.log('info', 'License deactivated', { licenseKey });
-    res.json({ success: true });
+    const { username, password } = req.body;
+    
+    if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+      return res.status(400).json({ success: false, message: 'Username and password required' });
+    }
+    
+    const user = username.includes('@')
+      ? await db.getAdminByEmail(username)
+      : await db.getAdminByUsername(username);
+    const valid = await Auth.verifyPassword(password, user ? user.password_hash : await dummyPasswordHash);
+    
+    if (!user || !valid) {
+      await db.log('warn', 'Admin login failed', { username, ip: req.ip });
+      return res.status(401).json({ success: false, message: 'Invalid username or password' });
+    }
+    
+    const session = await startSession(user.id, req, res);
+    await db.updateAdminLastLogin(user.id);
+    await db.log('info', 'Admin logged in', { username: user.username, ip: req.ip });
+    
+    res.json({
+      success: true,
+      token: session.token,
+      expiresAt: session.expiresAt * 1000,
+      user: { id: user.id, username: user.username, email: user.email, role: user.role }
+    });
   } catch (err) {
-    console.error('License deactivation error:', err);
+    console.error('Login error:', err);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// Activate license (admin)
-app.post('/api/activate-license', auth.authenticate.bind(auth), async (req, res) => {
+// Admin logout
+app.post('/api/auth/logout', auth.authenticate.bind(auth), async (req, res) => {
   try {
-    const { licenseKey } = req.body;
-    if (!licenseKey) {
-      return res.status(400).json({ success: false, message: 'License key required' });
+    if (req.auth.type === 'session') {
+      await db.deleteSession(req.auth.sessionHash);
+      await db.log('info', 'Admin logged out', { username: req.auth.username });
     }
-    await db.run('UPDATE licenses SET status = ? WHERE license_key = ?', ['active', licenseKey]);
-    await db.log('info', 'License activated', { licenseKey });
+    res.clearCookie(Auth.sessionCookie, { path: '/' });
     res.json({ success: true });
   } catch (err) {
-    console.error('License activation error:', err);
+    console.error('Logout error:', err);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// Get statistics
-app.get('/api/stats', async (req, res) => {
+// Rotate the session token and extend its expiry
+app.post('/api/auth/refresh', auth.authenticate.bind(auth), async (req, res) => {
   try {
-    const connections = await db.getConnections();
-    const recentTrades = await db.getRecentTrades(10);
+    if (req.auth.type !== 'session') {
+      return res.status(400).json({ success: false, message: 'Only login sessions can be refreshed' });
+    }
     
-    res.json({
-      masters: connections.filter(c => c.type === 'master').length,
-      receivers: connections.filter(c => c.type === 'receiver').length,
-      totalConnections: connections.length,
-      recentTrades: recentTrades
-    });
+    await db.deleteSession(req.auth.sessionHash);
+    const session = await startSession(req.auth.userId, req, res);
+    
+    res.json({ success: true, token: session.token, expiresAt: session.expiresAt * 1000 });
   } catch (err) {
-    console.error('Stats error:', err);
+    console.error('Session refresh error:', err);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// Get logs
-app.get('/api/logs', auth.authenticate.bind(auth), async (req, res) => {
+// Current admin
+app.get('/api/auth/me', auth.authenticate.bind(auth), (req, res) => {
+  res.json({
+    success: true,
+    type: req.auth.type || 'token',
+    username: req.auth.username || null,
+    role: req.auth.role || null,
+    permissions: Auth.permissionsFor(req.auth.role),
+    expiresAt: req.auth.expiresAt ? req.auth.expiresAt * 1000 : null
+  });
+});
+
+// List admin accounts
+app.get('/api/admins', auth.authenticate.bind(auth), auth.authorize('admins:manage'), async (req, res) => {
   try {
-    const { level, limit = 100 } = req.query;
-    const logs = await db.getLogs(level || null, parseInt(limit));
-    res.json({ success: true, logs });
+    const admins = await db.getAllAdmins();
+    res.json({ success: true, admins, roles: Auth.roles });
   } catch (err) {
-    console.error('Get logs error:', err);
+    console.error('Get admins error:', err);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// Send trade (HTTP API for MQL5 bots)
-app.post('/api/send-trade', async (req, res) => {
+// Create admin account
+app.post('/api/admins', auth.authenticate.bind(auth), auth.authorize('admins:manage'), async (req, res) => {
   try {
-    const { symbol, action, volume, sl, tp, apiKey, licenseKey } = req.body;
+    const { username, email, password, role = 'read-only' } = req.body;
     
-    // Validate trade data
-    if (!symbol || !action || !volume) {
-      return res.status(400).json({ success: false, message: 'Missing required trade data' });
+    if (!username || !email || !password) {
+      return res.status(400).json({ success: false, message: 'Username, email and password required' });
     }
     
-    // Log trade
-    await db.logTrade(licenseKey || 'http-client', symbol, action, volume, sl, tp);
-    
-    // Build trade signal
-    const tradeSignal = { 
-      symbol, 
-      action, 
-      volume, 
-      sl: sl || 0, 
-      tp: tp || 0, 
-      licenseKey,
-      timestamp: Date.now()
-    };
-    
-    // Store signal in memory for HTTP polling (keep for 60 seconds)
-    // Add unique ID to each signal for tracking
-    if (!tradeSignal.id) tradeSignal.id = `sig_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    if (password.length < 10) {
+      return res.status(400).json({ success: false, message: 'Password must be at least 10 characters' });
+    }
     
-    if (!global.pendingSignals) global.pendingSignals = [];
-    // Track which receivers have processed this signal
-    tradeSignal.processedBy = [];
-    global.pendingSignals.push(tradeSignal);
+    if (!Auth.roles.includes(role)) {
+      return res.status(400).json({ success: false, message: `Role must be one of: ${Auth.roles.join(', ')}` });
+    }
     
-    // Clean old signals (older than 60 seconds)
-    const now = Date.now();
-    global.pendingSignals = global.pendingSignals.filter(s => now - s.timestamp < 60000);
+    if (await db.getAdminByUsername(username) || await db.getAdminByEmail(email)) {
+      return res.status(409).json({ success: false, message: 'Admin already exists' });
+    }
     
-    // Broadcast to all receivers via WebSocket
-    await broadcastTradeSignal(tradeSignal);
+    const result = await db.createAdminUser(username, email, await Auth.hashPassword(password), null, role);
+    await db.log('info', 'Admin created', { username, role, by: req.auth.username || req.auth.type });
     
-    res.json({ 
-      success: true, 
-      message: 'Trade broadcasted successfully',
-      receivers: connections.receivers.size
-    });
+    res.json({ success: true, id: result.lastID, username, role });
   } catch (err) {
-    console.error('Send trade error:', err);
+    console.error('Create admin error:', err);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// Get pending signals (HTTP polling for MQL5 receivers)
-app.post('/api/get-signals', async (req, res) => {
+// Change an admin's role
+app.post('/api/admins/:id/role', auth.authenticate.bind(auth), auth.authorize('admins:manage'), async (req, res) => {
   try {
-    const { licenseKey } = req.body;
-    
-    // Verify license
-    if (!licenseKey) {
-      return res.status(400).json({ success: false, message: 'License key required' });
-    }
+    const { role } = req.body;
     
-    const license = await db.getLicense(licenseKey);
-    if (!license || license.status !== 'active' || Math.floor(Date.now() / 1000) > license.expiry_date) {
-      return res.status(401).json({ success: false, message: 'Invalid or expired license' });
+    if (!Auth.roles.includes(role)) {
+      return res.status(400).json({ success: false, message: `Role must be one of: ${Auth.roles.join(', ')}` });
     }
     
-    // Get pending signals that haven't been processed by this receiver yet
-    const allSignals = global.pendingSignals || [];
-    const unprocessedSignals = allSignals.filter(signal => {
-      // Return signals that haven't been processed by this licenseKey
-      return !signal.processedBy || !signal.processedBy.includes(licenseKey);
-    });
-    
-    // Mark signals as processed by this receiver
-    unprocessedSignals.forEach(signal => {
-      if (!signal.processedBy) signal.processedBy = [];
-      if (!signal.processedBy.includes(licenseKey)) {
-        signal.processedBy.push(licenseKey);
+    // Demoting the last owner would leave nobody able to manage admins. The
+    // check and the update share a transaction so two demotions cannot race.
+    const outcome = await db.transaction(async () => {
+      const admin = await db.getAdminById(parseInt(req.params.id));
+      if (!admin) {
+        return 'missing';
+      }
+      if (admin.role === 'owner' && role !== 'owner' && await db.countActiveAdminsWithRole('owner') <= 1) {
+        return 'last-owner';
       }
+      await db.updateAdminRole(admin.id, role);
+      return 'updated';
     });
+    if (outcome === 'missing') {
+      return res.status(404).json({ success: false, message: 'Admin not found' });
+    }
+    if (outcome === 'last-owner') {
+      return res.status(409).json({ success: false, message: 'Cannot demote the last owner' });
+    }
     
-    res.json({ 
-      success: true, 
-      signals: unprocessedSignals,
-      count: unprocessedSignals.length,
-      timestamp: Date.now()
+    await db.log('info', 'Admin role changed', { id: req.params.id, role, by: req.auth.username || req.auth.type });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Update admin role error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Dashboard settings of the logged-in admin
+app.get('/api/settings', auth.authenticate.bind(auth), requireAdminUser, async (req, res) => {
+  try {
+    const settings = await db.getAllSettings(req.auth.userId);
+    res.json({
+      success: true,
+      settings: Object.fromEntries(Object.entries(settings).map(([key, value]) => [key, readSettingValue(value)]))
     });
   } catch (err) {
-    console.error('Get signals error:', err);
+    console.error('Get settings error:', err);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// Register master bot
-app.post('/api/register-master', async (req, res) => {
+app.get('/api/settings/:key', auth.authenticate.bind(auth), requireAdminUser, async (req, res) => {
   try {
-    const { accountName, accountNumber, accountBalance, accountCurrency, broker } = req.body;
-    
-    if (!accountNumber) {
-      return res.status(400).json({ success: false, message: 'Account number required' });
+    const value = await db.getSetting(req.auth.userId, req.params.key);
+    if (value === null) {
+      return res.status(404).json({ success: false, message: 'Setting not found' });
     }
-    
-    // Create unique connection ID for master
-    const connectionId = `master_${accountNumber}_${Date.now()}`;
-    
-    // Add master connection to database with account info
-    await db.addConnection(connectionId, 'master', null, req.ip, {
-      accountName,
-      accountNumber,
-      accountBalance,
-      accountCurrency,
-      broker
-    });
-    
-    console.log(`✅ Master registered: ${accountName} (${accountNumber}) - ${accountCurrency} ${accountBalance}`);
-    
-    res.json({ 
-      success: true, 
-      message: 'Master registered successfully',
-      connectionId,
-      accountName,
-      accountNumber
-    });
+    res.json({ success: true, key: req.params.key, value: readSettingValue(value) });
   } catch (err) {
-    console.error('Register master error:', err);
+    console.error('Get setting error:', err);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// Register receiver via HTTP (for MQL5 bots that can't use WebSocket)
-app.post('/api/register-receiver', async (req, res) => {
+// Create or replace one setting. Body: { "value": <any JSON> }
+app.post('/api/settings/:key', auth.authenticate.bind(auth), requireAdminUser, async (req, res) => {
   try {
-    const { licenseKey } = req.body;
-    
-    if (!licenseKey) {
-      return res.status(400).json({ success: false, message: 'License key required' });
+    const { key } = req.params;
+    const result = serializeSetting(key, req.body.value);
+    if (result.error) {
+      return res.status(400).json({ success: false, message: result.error });
     }
     
-    // Verify license
-    const license = await db.getLicense(licenseKey);
+    const settings = await db.getAllSettings(req.auth.userId);
+    if (!(key in settings) && Object.keys(settings).length >= SETTINGS_PER_ADMIN) {
+      return res.status(400).json({ success: false, message: `At most ${SETTINGS_PER_ADMIN} settings per admin` });
+    }
     
-    if (!license || license.status !== 'active' || Math.floor(Date.now() / 1000) > license.expiry_date) {
-      return res.status(401).json({ success: false, message: 'Invalid or expired license' });
+    await db.saveSetting(req.auth.userId, key, result.value);
+    res.json({ success: true, key, value: req.body.value });
+  } catch (err) {
+    console.error('Save setting error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Update several settings at once; a null value deletes the setting.
+// Body: { "settings": { "key": <any JSON>, ... } }. Nothing is saved if any entry is invalid.
+app.post('/api/settings', auth.authenticate.bind(auth), requireAdminUser, async (req, res) => {
+  try {
+    const { settings } = req.body;
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      return res.status(400).json({ success: false, message: 'settings object required' });
     }
     
-    // Enforce one active receiver per license
-    const activeReceivers = await db.getConnectionsByType('receiver');
-    const alreadyActive = (activeReceivers || []).some(r => r.license_key === licenseKey && r.status === 'active');
-    if (alreadyActive) {
-      return res.status(409).json({ success: false, message: 'License already in use on another device' });
+    const updates = [];
+    for (const [key, value] of Object.entries(settings)) {
+      if (value === null) {
+        updates.push({ key, value: null });
+        continue;
+      }
+      const result = serializeSetting(key, value);
+      if (result.error) {
+        return res.status(400).json({ success: false, message: result.error, key });
+      }
+      updates.push({ key, value: result.value });
     }
-
-    // Create and store receiver connection so dashboards can count it
-    const connectionId = `receiver_${licenseKey}_${Date.now()}`;
-    await db.addConnection(connectionId, 'receiver', licenseKey, req.ip);
-
-    // Get active master info
-    const masters = await db.getConnectionsByType('master');
-    let masterName = "Unknown";
-    let masterBroker = "";
     
-    if (masters && masters.length > 0) {
-      const master = masters[0]; // Get first active master
-      masterName = master.account_name || "Unknown";
-      masterBroker = master.broker || "";
+    const existing = await db.getAllSettings(req.auth.userId);
+    const keys = new Set(Object.keys(existing));
+    updates.forEach(update => (update.value === null ? keys.delete(update.key) : keys.add(update.key)));
+    if (keys.size > SETTINGS_PER_ADMIN) {
+      return res.status(400).json({ success: false, message: `At most ${SETTINGS_PER_ADMIN} settings per admin` });
     }
     
-    res.json({ 
-      success: true, 
-      message: 'Receiver registered',
-      expiry: license.expiry_date * 1000,
-      masterName: masterName,
-      masterBroker: masterBroker,
-      connectionId
+    await db.transaction(async () => {
+      for (const update of updates) {
+        if (update.value === null) {
+          await db.deleteSetting(req.auth.userId, update.key);
+        } else {
+          await db.saveSetting(req.auth.userId, update.key, update.value);
+        }
+      }
     });
+    
+    res.json({ success: true, updated: updates.length });
   } catch (err) {
-    console.error('Register receiver error:', err);
+    console.error('Bulk settings error:', err);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// Heartbeat endpoint (for connection keepalive)
-app.post('/api/heartbeat', async (req, res) => {
+app.delete('/api/settings/:key', auth.authenticate.bind(auth), requireAdminUser, async (req, res) => {
   try {
-    const { connectionId, type } = req.body;
-    if (connectionId) {
-      await db.updateConnectionPing(connectionId);
+    const result = await db.deleteSetting(req.auth.userId, req.params.key);
+    if (result.changes === 0) {
+      return res.status(404).json({ success: false, message: 'Setting not found' });
     }
-    res.json({ success: true, timestamp: Date.now() });
+    res.json({ success: true });
   } catch (err) {
-    console.error('Heartbeat error:', err);
-    res.status(500).json({ success: false });
+    console.error('Delete setting error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// Generate API key (admin only)
-app.post('/api/generate-api-key', auth.authenticate.bind(auth), (req, res) => {
-  const apiKey = Auth.generateAPIKey();
-  res.json({ success: true, apiKey });
+// Create license (protected)
+app.post('/api/create-license', auth.authenticate.bind(auth), auth.authorize('licenses:create'), async (req, res) => {
+  try {
+    const { user, expiryDays = config.defaultLicenseDays, maxDevices = DEFAULT_MAX_DEVICES } = req.body;
+    
+    if (!user) {
+      return res.status(400).json({ success: false, message: 'User email required' });
+    }
+    
+    if (!isPositiveInteger(expiryDays)) {
+      return res.status(400).json({ success: false, message: 'expiryDays must be a positive integer' });
+    }
+    if (!isPositiveInteger(maxDevices)) {
+      return res.status(400).json({ success: false, message: 'maxDevices must be a positive integer' });
+    }
+    
+    let plan = null;
+    if (req.body.plan) {
+      plan = await db.getPlanByName(String(req.body.plan));
+      if (!plan) {
+        return res.status(400).json({ success: false, message: 'Unknown plan' });
+      }
+    }
+    
+    const licenseKey = Auth.generateLicenseKey();
+    const expiryDate = Math.floor(Date.now() / 1000) + (expiryDays * 24 * 60 * 60);
+    
+    await db.createLicense(licenseKey, user, expiryDate, maxDevices, plan ? plan.id : null);
+    await db.addLicenseEvent(await db.getLicense(licenseKey), 'created', adminActor(req), {
+      user, expiryDate, maxDevices, plan: plan ? plan.name : null
+    });
+    await db.log('info', 'License created', { licenseKey, user, expiryDays, maxDevices, plan: plan ? plan.name : null });
+    
+    res.json({
+      success: true,
+      licenseKey: licenseKey,
+      expiry: expiryDate * 1000,
+      user: user,
+      maxDevices,
+      plan: plan ? plan.name : null
+    });
+  } catch (err) {
+    console.error('License creation error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
 });
 
-// WebSocket Server
-const server = app.listen(PORT, async () => {
-  console.log(`🚀 Silver Pro Server listening on port ${PORT}`);
-  
-  // Initialize database
+// Get all licenses
+app.get('/api/licenses', auth.authenticate.bind(auth), auth.authorize('licenses:read'), async (req, res) => {
   try {
-    await db.connect();
-    await db.init();
-    console.log('✅ Database initialized');
+    const licenses = await db.getAllLicenses(parseLicenseFilters(req.query));
+    res.json({ success: true, licenses });
   } catch (err) {
-    console.error('❌ Database initialization failed:', err);
-    process.exit(1);
+    console.error('Get licenses error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-const wss = new WebSocketServer({ server });
-
+// Export licenses as CSV or JSON, with the same filters as /api/licenses
+app.get('/api/licenses/export', auth.authenticate.bind(auth), auth.authorize('licenses:read'), async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({ success: false, message: 'format must be csv or json' });
+    }
+    
+    const licenses = await db.getAllLicenses(parseLicenseFilters(req.query));
+    const rows = licenses.map(license => ({
+      ...license,
+      expiry_date: new Date(license.expiry_date * 1000).toISOString(),
+      created_at: new Date(license.created_at * 1000).toISOString(),
+      last_verified: license.last_verified ? new Date(license.last_verified * 1000).toISOString() : null
+    }));
+    
+    await db.log('info', 'Licenses exported', { format, count: rows.length, filters: req.query });
+    
+    const filename = `licenses-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'json') {
+      return res.json(rows.map(row => Object.fromEntries(LICENSE_EXPORT_COLUMNS.map(column => [column, row[column]]))));
+    }
+    res.type('text/csv').send(Csv.stringify(rows, LICENSE_EXPORT_COLUMNS));
+  } catch (err) {
+    console.error('Export licenses error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Generate a batch of licenses with the same plan, expiry and device limit
+app.post('/api/licenses/bulk', auth.authenticate.bind(auth), auth.authorize('licenses:create'), async (req, res) => {
+  try {
+    const { count, user = null, expiryDays = config.defaultLicenseDays, maxDevices = DEFAULT_MAX_DEVICES } = req.body;
+    
+    if (!Number.isInteger(count) || count < 1 || count > LICENSE_BATCH_LIMIT) {
+      return res.status(400).json({ success: false, message: `count must be between 1 and ${LICENSE_BATCH_LIMIT}` });
+    }
+    if (!isPositiveInteger(expiryDays)) {
+      return res.status(400).json({ success: false, message: 'expiryDays must be a positive integer' });
+    }
+    if (!isPositiveInteger(maxDevices)) {
+      return res.status(400).json({ success: false, message: 'maxDevices must be a positive integer' });
+    }
+    
+    let plan = null;
+    if (req.body.plan) {
+      plan = await db.getPlanByName(String(req.body.plan));
+      if (!plan) {
+        return res.status(400).json({ success: false, message: 'Unknown plan' });
+      }
+    }
+    
+    const expiryDate = Math.floor(Date.now() / 1000) + (expiryDays * 24 * 60 * 60);
+    const batch = `batch_${Date.now()}`;
+    const actor = adminActor(req);
+    const licenseKeys = [];
+    
+    await db.transaction(async () => {
+      for (let i = 0; i < count; i++) {
+        const licenseKey = Auth.generateLicenseKey();
+        const result = await db.createLicense(licenseKey, user, expiryDate, maxDevices, plan ? plan.id : null);
+        await db.addLicenseEvent({ id: result.lastID, license_key: licenseKey }, 'created', actor, {
+          user, expiryDate, maxDevices, plan: plan ? plan.name : null, batch
+        });
+        licenseKeys.push(licenseKey);
+      }
+    });
+    
+    await db.log('info', 'Licenses generated', { batch, count, user, expiryDays, maxDevices, plan: plan ? plan.name : null });
+    
+    res.json({
+      success: true,
+      batch,
+      licenseKeys,
+      expiry: expiryDate * 1000,
+      maxDevices,
+      plan: plan ? plan.name : null
+    });
+  } catch (err) {
+    console.error('Bulk license error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Import licenses from CSV (text/csv body, or JSON { "csv": "..." }). Bad and
+// duplicate rows are reported and skipped; ?dryRun=true only reports.
+// The CSV body is only read once the caller is authenticated and authorized
+app.post('/api/licenses/import',
+  auth.authenticate.bind(auth),
+  auth.authorize('licenses:create'),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }),
+  async (req, res) => {
+    try {
+      const text = typeof req.body === 'string' ? req.body : req.body && req.body.csv;
+      if (!text || typeof text !== 'string') {
+        return res.status(400).json({ success: false, message: 'CSV content required' });
+      }
+      
+      const records = Csv.parseObjects(text);
+      if (records.length === 0) {
+        return res.status(400).json({ success: false, message: 'CSV has no license rows' });
+      }
+      if (records.length > LICENSE_BATCH_LIMIT) {
+        return res.status(400).json({ success: false, message: `At most ${LICENSE_BATCH_LIMIT} licenses per import` });
+      }
+      
+      const dryRun = req.query.dryRun === 'true' || (req.body && req.body.dryRun === true);
+      const report = await validateLicenseImport(records);
+      const valid = report.filter(row => row.status === 'valid');
+      
+      if (!dryRun && valid.length > 0) {
+        const actor = adminActor(req);
+        await db.transaction(async () => {
+          for (const row of valid) {
+            const result = await db.createLicense(row.license.licenseKey, row.license.user, row.license.expiryDate,
+              row.license.maxDevices, row.license.planId);
+            await db.addLicenseEvent({ id: result.lastID, license_key: row.license.licenseKey }, 'created', actor, {
+              user: row.license.user, expiryDate: row.license.expiryDate, maxDevices: row.license.maxDevices,
+              plan: row.license.plan, import: true
+            });
+            row.status = 'created';
+          }
+        });
+        await db.log('info', 'Licenses imported', { created: valid.length, skipped: report.length - valid.length });
+      }
+      
+      res.json({
+        success: true,
+        dryRun,
+        total: report.length,
+        valid: valid.length,
+        created: dryRun ? 0 : valid.length,
+        skipped: report.length - valid.length,
+        rows: report.map(row => ({
+          line: row.line,
+          licenseKey: row.status === 'created' ? row.license.licenseKey : row.licenseKey,
+          status: row.status,
+          errors: row.errors
+        }))
+      });
+    } catch (err) {
+      console.error('Import licenses error:', err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+);
+
+// List devices bound to a license
+app.get('/api/licenses/:licenseKey/devices', auth.authenticate.bind(auth), auth.authorize('licenses:read'), async (req, res) => {
+  try {
+    const license = await db.getLicense(req.params.licenseKey);
+    if (!license) {
+      return res.status(404).json({ success: false, message: 'License not found' });
+    }
+    const devices = await db.getLicenseDevices(req.params.licenseKey);
+    res.json({ success: true, maxDevices: license.max_devices, devices });
+  } catch (err) {
+    console.error('Get license devices error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Release one bound device (or all of them) so the license can move machines
+app.post('/api/licenses/:licenseKey/release-device', auth.authenticate.bind(auth), auth.authorize('devices:manage'), async (req, res) => {
+  try {
+    const { licenseKey } = req.params;
+    const deviceId = req.body.deviceId !== undefined ? parseInt(req.body.deviceId) : null;
+    
+    const license = await db.getLicense(licenseKey);
+    if (!license) {
+      return res.status(404).json({ success: false, message: 'License not found' });
+    }
+    
+    const actor = adminActor(req);
+    const result = await db.releaseLicenseDevices(licenseKey, actor, deviceId);
+    if (result.changes === 0) {
+      return res.status(404).json({ success: false, message: 'No bound device found' });
+    }
+    
+    await db.addLicenseEvent(license, 'device_released', actor, { deviceId, released: result.changes });
+    await db.log('info', 'License device released', { licenseKey, deviceId, released: result.changes, by: actor });
+    res.json({ success: true, released: result.changes });
+  } catch (err) {
+    console.error('Release device error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Change how many devices a license can be bound to
+app.post('/api/licenses/:licenseKey/max-devices', auth.authenticate.bind(auth), auth.authorize('licenses:manage'), async (req, res) => {
+  try {
+    const maxDevices = parseInt(req.body.maxDevices);
+    if (!isPositiveInteger(maxDevices)) {
+      return res.status(400).json({ success: false, message: 'maxDevices must be a positive integer' });
+    }
+    
+    const license = await db.getLicense(req.params.licenseKey);
+    if (!license) {
+      return res.status(404).json({ success: false, message: 'License not found' });
+    }
+    
+    await db.setLicenseMaxDevices(license.license_key, maxDevices);
+    await db.addLicenseEvent(license, 'max_devices_changed', adminActor(req), { from: license.max_devices, to: maxDevices });
+    await db.log('info', 'License max devices changed', { licenseKey: req.params.licenseKey, maxDevices });
+    res.json({ success: true, maxDevices });
+  } catch (err) {
+    console.error('Set max devices error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// List license plans
+app.get('/api/plans', auth.authenticate.bind(auth), auth.authorize('licenses:read'), async (req, res) => {
+  try {
+    const plans = await db.getPlans();
+    res.json({ success: true, plans: plans.map(plan => ({ id: plan.id, ...Plans.entitlements(plan) })) });
+  } catch (err) {
+    console.error('Get plans error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Create a plan, or update the plan with the same name
+app.post('/api/plans', auth.authenticate.bind(auth), auth.authorize('plans:manage'), async (req, res) => {
+  try {
+    const result = Plans.validate(req.body);
+    if (result.error) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+    
+    const plan = await db.savePlan(result.plan);
+    await db.log('info', 'Plan saved', { plan: plan.name });
+    
+    res.json({ success: true, plan: { id: plan.id, ...Plans.entitlements(plan) } });
+  } catch (err) {
+    console.error('Save plan error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Assign a plan to a license (plan: null removes it)
+app.post('/api/licenses/:licenseKey/plan', auth.authenticate.bind(auth), auth.authorize('licenses:manage'), async (req, res) => {
+  try {
+    let plan = null;
+    if (req.body.plan) {
+      plan = await db.getPlanByName(String(req.body.plan));
+      if (!plan) {
+        return res.status(400).json({ success: false, message: 'Unknown plan' });
+      }
+    }
+    
+    const license = await db.getLicense(req.params.licenseKey);
+    if (!license) {
+      return res.status(404).json({ success: false, message: 'License not found' });
+    }
+    
+    await db.setLicensePlan(license.license_key, plan ? plan.id : null);
+    await db.addLicenseEvent(license, 'plan_changed', adminActor(req), { plan: plan ? plan.name : null });
+    await db.log('info', 'License plan changed', { licenseKey: req.params.licenseKey, plan: plan ? plan.name : null });
+    res.json({ success: true, entitlements: Plans.entitlements(plan) });
+  } catch (err) {
+    console.error('Set license plan error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Self-service device release. From the bound terminal (accountNumber and
+// fingerprint) it releases that device; with the owner email it releases every
+// device, at most once per cooldown period.
+app.post('/api/release-device', licenseGuard, async (req, res) => {
+  try {
+    const { licenseKey, accountNumber, fingerprint, email } = req.body;
+    
+    if (!licenseKey) {
+      return res.status(400).json({ success: false, message: 'License key required' });
+    }
+    
+    const license = await getReceiverLicense(req.ip, licenseKey);
+    if (!license) {
+      return res.status(404).json({ success: false, code: 'LICENSE_NOT_FOUND', message: 'Invalid license' });
+    }
+    
+    if (accountNumber && fingerprint) {
+      const device = await db.getLicenseDevice(licenseKey, String(accountNumber), String(fingerprint));
+      if (!device || device.status !== 'active') {
+        return res.status(404).json({ success: false, code: 'DEVICE_NOT_BOUND', message: 'This device is not bound to the license' });
+      }
+      await db.releaseLicenseDevices(licenseKey, 'self', device.id);
+      await db.addLicenseEvent(license, 'device_released', 'self', { deviceId: device.id, released: 1 });
+      await db.log('info', 'License device released', { licenseKey, deviceId: device.id, by: 'self' });
+      return res.json({ success: true, released: 1 });
+    }
+    
+    if (!email || !license.user_email || email.toLowerCase() !== license.user_email.toLowerCase()) {
+      return res.status(403).json({ success: false, code: 'RELEASE_NOT_ALLOWED', message: 'Device details or the license email required' });
+    }
+    
+    const lastRelease = await db.getLastSelfRelease(licenseKey);
+    const now = Math.floor(Date.now() / 1000);
+    if (lastRelease && now - lastRelease < SELF_RELEASE_COOLDOWN) {
+      return res.status(429).json({
+        success: false,
+        code: 'RELEASE_COOLDOWN',
+        message: 'Devices were released recently, try again later',
+        retryAfter: SELF_RELEASE_COOLDOWN - (now - lastRelease)
+      });
+    }
+    
+    const result = await db.releaseLicenseDevices(licenseKey, 'self');
+    await db.addLicenseEvent(license, 'device_released', 'self', { deviceId: null, released: result.changes });
+    await db.log('info', 'License device released', { licenseKey, released: result.changes, by: 'self' });
+    res.json({ success: true, released: result.changes });
+  } catch (err) {
+    console.error('Self-service release error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Deactivate license
+app.post('/api/deactivate-license', auth.authenticate.bind(auth), auth.authorize('licenses:manage'), async (req, res) => {
+  try {
+    const { licenseKey } = req.body;
+    const license = await db.getLicense(licenseKey);
+    if (!license) {
+      return res.status(404).json({ success: false, message: 'License not found' });
+    }
+    if (license.status === 'revoked') {
+      return res.status(409).json({ success: false, code: 'LICENSE_REVOKED', message: 'License revoked' });
+    }
+    
+    await db.deactivateLicense(licenseKey);
+    await db.addLicenseEvent(license, 'deactivated', adminActor(req));
+    await db.log('info', 'License deactivated', { licenseKey });
+    disconnectLicenseReceivers(licenseKey, 'License inactive');
+    res.json({ success: true });
+  } catch (err) {
+    console.error('License deactivation error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Activate license (admin)
+app.post('/api/activate-license', auth.authenticate.bind(auth), auth.authorize('licenses:manage'), async (req, res) => {
+  try {
+    const { licenseKey } = req.body;
+    if (!licenseKey) {
+      return res.status(400).json({ success: false, message: 'License key required' });
+    }
+    const license = await db.getLicense(licenseKey);
+    if (!license) {
+      return res.status(404).json({ success: false, message: 'License not found' });
+    }
+    if (license.status === 'revoked') {
+      return res.status(409).json({ success: false, code: 'LICENSE_REVOKED', message: 'Revoked licenses cannot be activated' });
+    }
+    
+    await db.setLicenseStatus(licenseKey, 'active');
+    await db.addLicenseEvent(license, 'activated', adminActor(req), { from: license.status });
+    await db.log('info', 'License activated', { licenseKey });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('License activation error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Extend a license by a number of days. An expired license is extended from now.
+app.post('/api/licenses/:licenseKey/extend', auth.authenticate.bind(auth), auth.authorize('licenses:manage'), async (req, res) => {
+  try {
+    const days = parseInt(req.body.days);
+    if (!isPositiveInteger(days)) {
+      return res.status(400).json({ success: false, message: 'days must be a positive integer' });
+    }
+    
+    const license = await db.getLicense(req.params.licenseKey);
+    if (!license) {
+      return res.status(404).json({ success: false, message: 'License not found' });
+    }
+    if (license.status === 'revoked') {
+      return res.status(409).json({ success: false, code: 'LICENSE_REVOKED', message: 'Revoked licenses cannot be extended' });
+    }
+    
+    const from = Math.max(license.expiry_date, Math.floor(Date.now() / 1000));
+    const expiryDate = from + days * 24 * 60 * 60;
+    
+    await db.setLicenseExpiry(license.license_key, expiryDate);
+    await db.addLicenseEvent(license, 'extended', adminActor(req), { days, from: license.expiry_date, to: expiryDate });
+    await db.log('info', 'License extended', { licenseKey: license.license_key, days });
+    
+    res.json({ success: true, expiry: expiryDate * 1000 });
+  } catch (err) {
+    console.error('License extend error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Change the license owner's email
+app.post('/api/licenses/:licenseKey/email', auth.authenticate.bind(auth), auth.authorize('licenses:manage'), async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email || typeof email !== 'string' || !email.includes('@')) {
+      return res.status(400).json({ success: false, message: 'Valid email required' });
+    }
+    
+    const license = await db.getLicense(req.params.licenseKey);
+    if (!license) {
+      return res.status(404).json({ success: false, message: 'License not found' });
+    }
+    
+    await db.setLicenseEmail(license.license_key, email.trim());
+    await db.addLicenseEvent(license, 'email_changed', adminActor(req), { from: license.user_email, to: email.trim() });
+    await db.log('info', 'License email changed', { licenseKey: license.license_key });
+    
+    res.json({ success: true, user: email.trim() });
+  } catch (err) {
+    console.error('License email change error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Suspend a license until it is activated again
+app.post('/api/licenses/:licenseKey/suspend', auth.authenticate.bind(auth), auth.authorize('licenses:manage'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (!reason || typeof reason !== 'string') {
+      return res.status(400).json({ success: false, message: 'Suspension reason required' });
+    }
+    
+    const license = await db.getLicense(req.params.licenseKey);
+    if (!license) {
+      return res.status(404).json({ success: false, message: 'License not found' });
+    }
+    if (license.status === 'revoked') {
+      return res.status(409).json({ success: false, code: 'LICENSE_REVOKED', message: 'License revoked' });
+    }
+    
+    await db.setLicenseStatus(license.license_key, 'suspended', reason);
+    await db.addLicenseEvent(license, 'suspended', adminActor(req), { reason });
+    await db.log('info', 'License suspended', { licenseKey: license.license_key, reason });
+    disconnectLicenseReceivers(license.license_key, 'License suspended');
+    
+    res.json({ success: true });
+  } catch (err) {
+    console.error('License suspend error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Permanently revoke a license; it cannot be activated, extended or regenerated afterwards
+app.post('/api/licenses/:licenseKey/revoke', auth.authenticate.bind(auth), auth.authorize('licenses:manage'), async (req, res) => {
+  try {
+    const license = await db.getLicense(req.params.licenseKey);
+    if (!license) {
+      return res.status(404).json({ success: false, message: 'License not found' });
+    }
+    if (license.status === 'revoked') {
+      return res.status(409).json({ success: false, code: 'LICENSE_REVOKED', message: 'License already revoked' });
+    }
+    
+    const reason = req.body.reason || null;
+    await db.setLicenseStatus(license.license_key, 'revoked', reason);
+    await db.releaseLicenseDevices(license.license_key, 'admin');
+    await db.addLicenseEvent(license, 'revoked', adminActor(req), { reason });
+    await db.log('warn', 'License revoked', { licenseKey: license.license_key, reason });
+    disconnectLicenseReceivers(license.license_key, 'License revoked');
+    
+    res.json({ success: true });
+  } catch (err) {
+    console.error('License revoke error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Replace a (leaked) license key with a new one. Devices, receiver settings and
+// history move to the new key; the old key stops working immediately.
+app.post('/api/licenses/:licenseKey/regenerate', auth.authenticate.bind(auth), auth.authorize('licenses:manage'), async (req, res) => {
+  try {
+    const license = await db.getLicense(req.params.licenseKey);
+    if (!license) {
+      return res.status(404).json({ success: false, message: 'License not found' });
+    }
+    if (license.status === 'revoked') {
+      return res.status(409).json({ success: false, code: 'LICENSE_REVOKED', message: 'Revoked licenses cannot be regenerated' });
+    }
+    
+    const licenseKey = Auth.generateLicenseKey();
+    disconnectLicenseReceivers(license.license_key, 'License key replaced');
+    await db.renameLicenseKey(license.license_key, licenseKey);
+    await db.addLicenseEvent({ ...license, license_key: licenseKey }, 'key_regenerated', adminActor(req), {
+      from: license.license_key
+    });
+    await db.log('warn', 'License key regenerated', { licenseKey, previous: license.license_key });
+    
+    res.json({ success: true, licenseKey });
+  } catch (err) {
+    console.error('License regenerate error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// License change history, newest first
+app.get('/api/licenses/:licenseKey/events', auth.authenticate.bind(auth), auth.authorize('licenses:read'), async (req, res) => {
+  try {
+    const license = await db.getLicense(req.params.licenseKey);
+    if (!license) {
+      return res.status(404).json({ success: false, message: 'License not found' });
+    }
+    
+    const events = await db.getLicenseEvents(license.id);
+    res.json({
+      success: true,
+      events: events.map(event => ({ ...event, details: event.details ? JSON.parse(event.details) : null }))
+    });
+  } catch (err) {
+    console.error('Get license events error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Get statistics (admin only: includes recent trades and broker errors)
+app.get('/api/stats', auth.authenticate.bind(auth), auth.authorize('trades:read'), async (req, res) => {
+  try {
+    const connections = await db.getConnections();
+    const recentTrades = await db.getRecentTrades(10);
+    const executions = await db.getExecutionSummary(Math.floor(Date.now() / 1000) - 24 * 60 * 60);
+    
+    res.json({
+      masters: connections.filter(c => c.type === 'master').length,
+      receivers: connections.filter(c => c.type === 'receiver').length,
+      totalConnections: connections.length,
+      recentTrades: recentTrades,
+      executions: executions
+    });
+  } catch (err) {
+    console.error('Stats error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Get logs
+app.get('/api/logs', auth.authenticate.bind(auth), auth.authorize('logs:read'), async (req, res) => {
+  try {
+    const { level, limit = 100 } = req.query;
+    const logs = await db.getLogs(level || null, parseInt(limit));
+    res.json({ success: true, logs });
+  } catch (err) {
+    console.error('Get logs error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Send trade (HTTP API for MQL5 bots)
+app.post('/api/send-trade', masterLimits, auth.authenticateMaster.bind(auth), async (req, res) => {
+  try {
+    const { symbol, action, volume, sl, tp, price, signalType, masterTicket, licenseKey, profit } = req.body;
+    
+    // Build and validate trade signal
+    const masterId = masterIdentity(req.master.keyId, req.master.accountNumber);
+    const prepared = await prepareTradeSignal({ 
+      symbol, 
+      action, 
+      volume, 
+      sl, 
+      tp, 
+      price,
+      signalType,
+      masterTicket,
+      licenseKey,
+      profit
+    }, masterId, req.master.accountNumber);
+    
+    if (prepared.error) {
+      return res.status(400).json({ success: false, message: prepared.error });
+    }
+    
+    // Persist to the signal queue and broadcast to all receivers via WebSocket
+    const signal = await broadcastTradeSignal(prepared.signal, req.master.keyId);
+    
+    res.json({ 
+      success: true, 
+      message: 'Trade broadcasted successfully',
+      signalId: signal ? signal.id : null,
+      seq: signal ? signal.seq : null,
+      receivers: connections.receivers.size
+    });
+  } catch (err) {
+    console.error('Send trade error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Get pending signals (HTTP polling for MQL5 receivers)
+app.post('/api/get-signals', signalGuard, async (req, res) => {
+  try {
+    const { licenseKey, accountNumber, fingerprint } = req.body;
+    
+    // Verify license and device
+    if (!licenseKey) {
+      return res.status(400).json({ success: false, message: 'License key required' });
+    }
+    
+    const verified = await verifyReceiverDevice(req.ip, licenseKey, accountNumber, fingerprint);
+    if (verified.code) {
+      return res.status(verified.status).json({ success: false, code: verified.code, message: verified.message });
+    }
+    
+    // Return everything after this receiver's acknowledged position; signals stay
+    // pending (and are returned again) until the EA acks them. With wait (seconds)
+    // an empty response is held until a signal arrives or the wait is over.
+    const wait = Math.min(Math.max(parseInt(req.body.wait) || 0, 0), LONG_POLL_MAX_WAIT);
+    const { cursor, signals } = wait > 0
+      ? await waitForPendingCopies(licenseKey, wait * 1000, res)
+      : await getPendingCopies(licenseKey);
+    
+    res.json({ 
+      success: true, 
+      signals,
+      count: signals.length,
+      cursor,
+      timestamp: Date.now()
+    });
+  } catch (err) {
+    console.error('Get signals error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Stream signals as Server-Sent Events (licenseKey, accountNumber and
+// fingerprint as query parameters or x-license-key, x-account-number and
+// x-fingerprint headers). The stream is admitted like any other receiver, and
+// delivery is the same as for WebSocket receivers: pending signals are
+// replayed first and the EA acks through /api/ack-signals.
+app.get('/api/signals/stream', signalGuard, async (req, res) => {
+  try {
+    const licenseKey = req.query.licenseKey || req.headers['x-license-key'];
+    const accountNumber = req.query.accountNumber || req.headers['x-account-number'];
+    const fingerprint = req.query.fingerprint || req.headers['x-fingerprint'];
+    if (!licenseKey) {
+      return res.status(400).json({ success: false, message: 'License key required' });
+    }
+    
+    // Streams are sized with the settings saved when the receiver registered
+    const settings = await db.getReceiverSettings(licenseKey) || {};
+    const riskMode = settings.risk_mode || 'multiplier';
+    const admission = await admitReceiver(req.ip, licenseKey, accountNumber, fingerprint, riskMode);
+    if (admission.code) {
+      await db.log('warn', 'Receiver rejected', { licenseKey, reason: admission.code, transport: 'sse' });
+      return res.status(admission.status).json({ success: false, code: admission.code, message: admission.message });
+    }
+    
+    const id = `sse_${uuidv4()}`;
+    const channel = new SseChannel(res, SSE_KEEPALIVE);
+    await db.addConnection(id, 'receiver', licenseKey, req.ip, { accountNumber: String(accountNumber) });
+    
+    // The client may have left while the connection was recorded
+    if (channel.readyState !== WebSocket.OPEN) {
+      await db.removeConnection(id);
+      return;
+    }
+    
+    connections.receivers.set(id, {
+      ws: channel,
+      licenseKey,
+      connected: Date.now(),
+      riskMode,
+      transport: 'sse',
+      ipAddress: req.ip
+    });
+    
+    channel.on('keepalive', () => {
+      db.updateConnectionPing(id).catch(err => console.error('SSE keepalive error:', err));
+    });
+    channel.on('close', () => {
+      console.log(`❌ Signal stream closed: ${id}`);
+      unregisterReceiver(id).catch(err => console.error('SSE close error:', err));
+    });
+    
+    await db.log('info', 'Receiver registered', { connectionId: id, licenseKey, transport: 'sse' });
+    emitAdminEvent('connections', 'receiver-registered', { connectionId: id, licenseKey, transport: 'sse', ip: req.ip });
+    console.log(`📥 Signal stream opened: ${id}`);
+    
+    await replayPendingSignals(id);
+  } catch (err) {
+    console.error('Signal stream error:', err);
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  }
+});
+
+// Acknowledge signals (HTTP polling for MQL5 receivers)
+app.post('/api/ack-signals', signalGuard, async (req, res) => {
+  try {
+    const { licenseKey, accountNumber, fingerprint } = req.body;
+    const seq = parseInt(req.body.seq);
+    
+    if (!licenseKey) {
+      return res.status(400).json({ success: false, message: 'License key required' });
+    }
+    
+    if (!Number.isInteger(seq) || seq < 0) {
+      return res.status(400).json({ success: false, message: 'Valid signal sequence required' });
+    }
+    
+    const verified = await verifyReceiverDevice(req.ip, licenseKey, accountNumber, fingerprint);
+    if (verified.code) {
+      return res.status(verified.status).json({ success: false, code: verified.code, message: verified.message });
+    }
+    
+    await getReceiverCursor(licenseKey);
+    await db.ackSignals(licenseKey, seq);
+    const cursor = await db.getReceiverCursor(licenseKey);
+    
+    res.json({ success: true, cursor: cursor.acked_seq });
+  } catch (err) {
+    console.error('Ack signals error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Report execution result of a signal (HTTP for MQL5 receivers)
+app.post('/api/report-execution', signalGuard, async (req, res) => {
+  try {
+    const { licenseKey, connectionId, accountNumber, fingerprint } = req.body;
+    
+    if (!licenseKey) {
+      return res.status(400).json({ success: false, message: 'License key required' });
+    }
+    
+    const verified = await verifyReceiverDevice(req.ip, licenseKey, accountNumber, fingerprint);
+    if (verified.code) {
+      return res.status(verified.status).json({ success: false, code: verified.code, message: verified.message });
+    }
+    
+    const result = await recordExecutionReport(licenseKey, connectionId || null, req.body);
+    if (!result.success) {
+      return res.status(result.httpStatus).json({ success: false, message: result.message });
+    }
+    
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Report execution error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Trade history: master trades and receiver copies, filtered and paged by cursor
+app.get('/api/trades', auth.authenticate.bind(auth), auth.authorize('trades:read'), async (req, res) => {
+  try {
+    const query = parseTradeQuery(req.query);
+    if (query.error) {
+      return res.status(400).json({ success: false, message: query.error });
+    }
+    
+    const limit = Math.min(parseInt(req.query.limit) || 100, TRADE_PAGE_LIMIT);
+    const trades = await db.getTradeHistory(query.filters, { ...query.options, limit });
+    
+    // A full page may have more behind it; the cursor points after its last row
+    const last = trades[trades.length - 1];
+    const nextCursor = trades.length === limit
+      ? Buffer.from(JSON.stringify({ value: last[query.options.sort], id: last.id })).toString('base64url')
+      : null;
+    
+    res.json({ success: true, trades, nextCursor });
+  } catch (err) {
+    console.error('Trade history error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Export trade history as CSV or JSON, with the same filters and sorting as /api/trades
+app.get('/api/trades/export', auth.authenticate.bind(auth), auth.authorize('trades:read'), async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({ success: false, message: 'format must be csv or json' });
+    }
+    
+    const query = parseTradeQuery(req.query);
+    if (query.error) {
+      return res.status(400).json({ success: false, message: query.error });
+    }
+    
+    const trades = await db.getTradeHistory(query.filters, { ...query.options, limit: TRADE_EXPORT_LIMIT });
+    const rows = trades.map(trade => ({ ...trade, timestamp: new Date(trade.timestamp * 1000).toISOString() }));
+    
+    await db.log('info', 'Trades exported', { format, count: rows.length, filters: query.filters });
+    
+    const filename = `trades-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'json') {
+      return res.json(rows.map(row => Object.fromEntries(TRADE_EXPORT_COLUMNS.map(column => [column, row[column]]))));
+    }
+    res.type('text/csv').send(Csv.stringify(rows, TRADE_EXPORT_COLUMNS));
+  } catch (err) {
+    console.error('Export trades error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Get execution reports (admin)
+app.get('/api/executions', auth.authenticate.bind(auth), auth.authorize('trades:read'), async (req, res) => {
+  try {
+    const { seq, licenseKey, status, limit = 100 } = req.query;
+    const reports = await db.getExecutionReports({
+      signalSeq: seq !== undefined ? parseInt(seq) : undefined,
+      licenseKey,
+      status
+    }, parseInt(limit));
+    res.json({ success: true, reports });
+  } catch (err) {
+    console.error('Get executions error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// List symbol mapping rules (admin)
+app.get('/api/symbol-mappings', auth.authenticate.bind(auth), auth.authorize('receivers:read'), async (req, res) => {
+  try {
+    const { licenseKey, broker } = req.query;
+    const mappings = await db.getSymbolMappings({ licenseKey, broker });
+    res.json({ success: true, mappings });
+  } catch (err) {
+    console.error('Get symbol mappings error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Add or replace a symbol mapping rule (admin)
+app.post('/api/symbol-mappings', auth.authenticate.bind(auth), auth.authorize('receivers:manage'), async (req, res) => {
+  try {
+    const { licenseKey, broker, type, symbol, target } = req.body;
+    
+    if (!licenseKey === !broker) {
+      return res.status(400).json({ success: false, message: 'Either licenseKey or broker required' });
+    }
+    
+    if (!SymbolMapper.ruleTypes.includes(type)) {
+      return res.status(400).json({ success: false, message: 'Type must be alias, prefix or suffix' });
+    }
+    
+    if (!target || (type === 'alias' && !symbol)) {
+      return res.status(400).json({ success: false, message: 'Target required (and symbol for aliases)' });
+    }
+    
+    const scope = licenseKey ? 'license' : 'broker';
+    const scopeValue = licenseKey || broker;
+    const sourceSymbol = type === 'alias' ? String(symbol).toUpperCase() : '';
+    
+    await db.saveSymbolMapping(scope, scopeValue, type, sourceSymbol, String(target));
+    await db.log('info', 'Symbol mapping saved', { scope, scopeValue, type, symbol: sourceSymbol, target });
+    
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Save symbol mapping error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Delete a symbol mapping rule (admin)
+app.delete('/api/symbol-mappings/:id', auth.authenticate.bind(auth), auth.authorize('receivers:manage'), async (req, res) => {
+  try {
+    const result = await db.deleteSymbolMapping(parseInt(req.params.id));
+    if (result.changes === 0) {
+      return res.status(404).json({ success: false, message: 'Mapping not found' });
+    }
+    await db.log('info', 'Symbol mapping deleted', { id: req.params.id });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Delete symbol mapping error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Preview how a master symbol resolves for a receiver (admin)
+app.get('/api/symbol-mappings/resolve', auth.authenticate.bind(auth), auth.authorize('receivers:read'), async (req, res) => {
+  try {
+    const { licenseKey, symbol } = req.query;
+    if (!licenseKey || !symbol) {
+      return res.status(400).json({ success: false, message: 'License key and symbol required' });
+    }
+    
+    const settings = await db.getReceiverSettings(licenseKey) || {};
+    const rules = await db.getSymbolMappings({ licenseKey, broker: settings.broker });
+    res.json({
+      success: true,
+      symbol,
+      resolved: SymbolMapper.resolve(symbol, rules),
+      broker: settings.broker || null
+    });
+  } catch (err) {
+    console.error('Resolve symbol error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Get signal filters for a license (admin)
+app.get('/api/filters/:licenseKey', auth.authenticate.bind(auth), auth.authorize('receivers:read'), async (req, res) => {
+  try {
+    const filters = await db.getReceiverFilters(req.params.licenseKey);
+    res.json({ success: true, filters: filters || null });
+  } catch (err) {
+    console.error('Get filters error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Replace signal filters for a license (admin)
+app.post('/api/filters/:licenseKey', auth.authenticate.bind(auth), auth.authorize('receivers:manage'), async (req, res) => {
+  try {
+    const { licenseKey } = req.params;
+    const license = await db.getLicense(licenseKey);
+    if (!license) {
+      return res.status(404).json({ success: false, message: 'License not found' });
+    }
+    
+    const result = SignalFilter.validate(req.body);
+    if (result.error) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+    
+    await db.saveReceiverFilters(licenseKey, result.filters);
+    await db.log('info', 'Signal filters updated', { licenseKey });
+    res.json({ success: true, filters: await db.getReceiverFilters(licenseKey) });
+  } catch (err) {
+    console.error('Save filters error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Remove signal filters for a license (admin)
+app.delete('/api/filters/:licenseKey', auth.authenticate.bind(auth), auth.authorize('receivers:manage'), async (req, res) => {
+  try {
+    await db.deleteReceiverFilters(req.params.licenseKey);
+    await db.log('info', 'Signal filters removed', { licenseKey: req.params.licenseKey });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Delete filters error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Signals withheld from receivers by their filters (admin)
+app.get('/api/filtered-signals', auth.authenticate.bind(auth), auth.authorize('trades:read'), async (req, res) => {
+  try {
+    const { licenseKey, limit = 100 } = req.query;
+    const signals = await db.getFilteredSignals(licenseKey || null, parseInt(limit));
+    res.json({ success: true, signals });
+  } catch (err) {
+    console.error('Get filtered signals error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Copy performance per master (API key) over a period
+app.get('/api/analytics/masters', auth.authenticate.bind(auth), auth.authorize('trades:read'), async (req, res) => {
+  try {
+    const period = Analytics.parsePeriod(req.query);
+    if (period.error) {
+      return res.status(400).json({ success: false, message: period.error });
+    }
+    
+    const rows = await db.getMasterAnalyticsRows(period.from, period.to);
+    const keys = await db.getAllMasterApiKeys();
+    const ids = new Set(rows.signals.map(row => row.master_id));
+    
+    const masters = [...ids].map(id => {
+      const key = keys.find(k => k.id === id);
+      const { summary } = Analytics.compute(
+        rows.signals.filter(row => row.master_id === id),
+        rows.reports.filter(row => row.master_id === id)
+      );
+      return { masterId: id, label: key ? key.label : null, accountNumber: key ? key.account_number : null, ...summary };
+    });
+    
+    res.json({ success: true, from: period.from * 1000, to: period.to * 1000, masters });
+  } catch (err) {
+    console.error('Master analytics error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+app.get('/api/analytics/masters/:id', auth.authenticate.bind(auth), auth.authorize('trades:read'), async (req, res) => {
+  try {
+    const period = Analytics.parsePeriod(req.query);
+    if (period.error) {
+      return res.status(400).json({ success: false, message: period.error });
+    }
+    
+    const key = await db.getMasterApiKeyById(parseInt(req.params.id));
+    if (!key) {
+      return res.status(404).json({ success: false, message: 'Master API key not found' });
+    }
+    
+    const rows = await db.getMasterAnalyticsRows(period.from, period.to, key.id);
+    res.json({
+      success: true,
+      from: period.from * 1000,
+      to: period.to * 1000,
+      masterId: key.id,
+      label: key.label,
+      accountNumber: key.account_number,
+      ...Analytics.compute(rows.signals, rows.reports)
+    });
+  } catch (err) {
+    console.error('Master analytics error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Copy performance per receiver license over a period, slowest receivers first
+app.get('/api/analytics/receivers', auth.authenticate.bind(auth), auth.authorize('trades:read'), async (req, res) => {
+  try {
+    const period = Analytics.parsePeriod(req.query);
+    if (period.error) {
+      return res.status(400).json({ success: false, message: period.error });
+    }
+    
+    const rows = await db.getReceiverAnalyticsRows(period.from, period.to);
+    const licenseKeys = new Set(rows.signals.map(row => row.license_key));
+    
+    const receivers = [...licenseKeys].map(licenseKey => {
+      const { summary } = Analytics.compute(
+        rows.signals.filter(row => row.license_key === licenseKey),
+        rows.reports.filter(row => row.license_key === licenseKey)
+      );
+      return { licenseKey, ...summary };
+    }).sort((a, b) => (b.avgDelaySeconds || 0) - (a.avgDelaySeconds || 0));
+    
+    res.json({ success: true, from: period.from * 1000, to: period.to * 1000, receivers });
+  } catch (err) {
+    console.error('Receiver analytics error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+app.get('/api/analytics/receivers/:licenseKey', auth.authenticate.bind(auth), auth.authorize('trades:read'), async (req, res) => {
+  try {
+    const period = Analytics.parsePeriod(req.query);
+    if (period.error) {
+      return res.status(400).json({ success: false, message: period.error });
+    }
+    
+    const rows = await db.getReceiverAnalyticsRows(period.from, period.to, req.params.licenseKey);
+    res.json({
+      success: true,
+      from: period.from * 1000,
+      to: period.to * 1000,
+      licenseKey: req.params.licenseKey,
+      ...Analytics.compute(rows.signals, rows.reports)
+    });
+  } catch (err) {
+    console.error('Receiver analytics error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Get a master position and the receiver positions copying it (admin). When
+// several masters used the ticket, ?master= picks one.
+app.get('/api/positions/:masterTicket', auth.authenticate.bind(auth), auth.authorize('trades:read'), async (req, res) => {
+  try {
+    const positions = (await db.getMasterPositionsByTicket(req.params.masterTicket))
+      .filter(candidate => req.query.master === undefined || candidate.master_id === req.query.master);
+    if (positions.length === 0) {
+      return res.status(404).json({ success: false, message: 'Position not found' });
+    }
+    if (positions.length > 1) {
+      return res.status(409).json({
+        success: false,
+        message: 'Several masters used this ticket, pass master to pick one',
+        masters: positions.map(candidate => candidate.master_id)
+      });
+    }
+    const position = positions[0];
+    const mappings = await db.getPositionMappings(position.master_id, position.master_ticket);
+    res.json({ success: true, position, mappings });
+  } catch (err) {
+    console.error('Get position error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Register master bot
+app.post('/api/register-master', masterLimits, auth.authenticateMaster.bind(auth), async (req, res) => {
+  try {
+    const { accountName, accountNumber, accountBalance, accountCurrency, broker } = req.body;
+    
+    if (!accountNumber) {
+      return res.status(400).json({ success: false, message: 'Account number required' });
+    }
+    
+    // Create unique connection ID for master
+    const connectionId = `master_${accountNumber}_${Date.now()}`;
+    
+    // Add master connection to database with account info
+    await db.addConnection(connectionId, 'master', null, req.ip, {
+      accountName,
+      accountNumber,
+      accountBalance,
+      accountCurrency,
+      broker
+    });
+    
+    console.log(`✅ Master registered: ${accountName} (${accountNumber}) - ${accountCurrency} ${accountBalance}`);
+    emitAdminEvent('connections', 'master-registered', { connectionId, accountNumber, transport: 'http', ip: req.ip });
+    
+    res.json({ 
+      success: true, 
+      message: 'Master registered successfully',
+      connectionId,
+      accountName,
+      accountNumber
+    });
+  } catch (err) {
+    console.error('Register master error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Register receiver via HTTP (for MQL5 bots that can't use WebSocket)
+app.post('/api/register-receiver', signalGuard, async (req, res) => {
+  try {
+    const { licenseKey } = req.body;
+    
+    if (!licenseKey) {
+      return res.status(400).json({ success: false, message: 'License key required' });
+    }
+    
+    const sizing = parseReceiverSettings(req.body);
+    if (sizing.error) {
+      return res.status(400).json({ success: false, message: sizing.error });
+    }
+    
+    // Verify license, device binding and plan
+    const admission = await admitReceiver(req.ip, licenseKey, req.body.accountNumber, req.body.fingerprint, sizing.settings.risk_mode);
+    if (admission.code) {
+      await db.log('warn', 'Receiver rejected', { licenseKey, reason: admission.code });
+      return res.status(admission.status).json({ success: false, code: admission.code, message: admission.message });
+    }
+    const { license, plan } = admission;
+
+    // Create and store receiver connection so dashboards can count it
+    const connectionId = `receiver_${licenseKey}_${Date.now()}`;
+    await db.addConnection(connectionId, 'receiver', licenseKey, req.ip, { accountNumber: String(req.body.accountNumber) });
+    await db.saveReceiverSettings(licenseKey, sizing.settings);
+    emitAdminEvent('connections', 'receiver-registered', {
+      connectionId, licenseKey, accountNumber: String(req.body.accountNumber), transport: 'http', ip: req.ip
+    });
+    // Start the signal cursor now so trades sent before the first poll are not skipped
+    await getReceiverCursor(licenseKey);
+
+    // Get active master info
+    const masters = await db.getConnectionsByType('master');
+    let masterName = "Unknown";
+    let masterBroker = "";
+    
+    if (masters && masters.length > 0) {
+      const master = masters[0]; // Get first active master
+      masterName = master.account_name || "Unknown";
+      masterBroker = master.broker || "";
+    }
+    
+    res.json({ 
+      success: true, 
+      message: 'Receiver registered',
+      expiry: license.expiry_date * 1000,
+      masterName: masterName,
+      masterBroker: masterBroker,
+      connectionId,
+      entitlements: Plans.entitlements(plan)
+    });
+  } catch (err) {
+    console.error('Register receiver error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Heartbeat endpoint (for connection keepalive)
+app.post('/api/heartbeat', heartbeatLimits, async (req, res) => {
+  try {
+    const { connectionId, type } = req.body;
+    if (connectionId) {
+      // Connections that missed heartbeats for longer than connectionTimeout
+      // have been expired and must register again
+      const connection = await db.getConnectionById(connectionId);
+      if (!connection || connection.status !== 'active') {
+        return res.status(410).json({ success: false, code: 'CONNECTION_EXPIRED', message: 'Connection expired, register again' });
+      }
+      await db.updateConnectionPing(connectionId);
+      await updateReceiverBalance(connectionId, req.body.accountBalance);
+    }
+    res.json({ success: true, timestamp: Date.now() });
+  } catch (err) {
+    console.error('Heartbeat error:', err);
+    res.status(500).json({ success: false });
+  }
+});
+
+// Generate API key (admin only)
+app.post('/api/generate-api-key', auth.authenticate.bind(auth), auth.authorize('apikeys:manage'), async (req, res) => {
+  try {
+    const { label, accountNumber, signedOnly = false } = req.body;
+    const apiKey = Auth.generateAPIKey();
+    const signingSecret = Auth.generateSigningSecret();
+    
+    // Only the key hash is stored; the key itself is shown this one time
+    const result = await db.createMasterApiKey(
+      Auth.hashToken(apiKey),
+      apiKey.slice(0, 8),
+      label || null,
+      accountNumber ? String(accountNumber) : null,
+      req.auth.username || req.auth.type,
+      signingSecret,
+      signedOnly === true
+    );
+    await db.log('info', 'Master API key created', { id: result.lastID, label, accountNumber, signedOnly: signedOnly === true });
+    
+    res.json({
+      success: true,
+      apiKey,
+      id: result.lastID,
+      signingSecret,
+      signedOnly: signedOnly === true,
+      label: label || null,
+      accountNumber: accountNumber || null
+    });
+  } catch (err) {
+    console.error('Generate API key error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// List master API keys (admin)
+app.get('/api/api-keys', auth.authenticate.bind(auth), auth.authorize('apikeys:manage'), async (req, res) => {
+  try {
+    const keys = await db.getAllMasterApiKeys();
+    res.json({ success: true, keys });
+  } catch (err) {
+    console.error('Get API keys error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Revoke a master API key (admin)
+app.post('/api/api-keys/:id/revoke', auth.authenticate.bind(auth), auth.authorize('apikeys:manage'), async (req, res) => {
+  try {
+    const result = await db.revokeMasterApiKey(parseInt(req.params.id));
+    if (result.changes === 0) {
+      return res.status(404).json({ success: false, message: 'Active API key not found' });
+    }
+    await db.log('info', 'Master API key revoked', { id: req.params.id, by: req.auth.username || req.auth.type });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Revoke API key error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// WebSocket Server
+const server = app.listen(PORT, async () => {
+  console.log(`🚀 Silver Pro Server listening on port ${PORT}`);
+  
+  // Initialize database: apply pending migrations, or with AUTO_MIGRATE=false
+  // refuse to run on an outdated schema
+  try {
+    await db.connect();
+    if (config.autoMigrate) {
+      await db.init();
+    } else {
+      const pending = await new Migrator(db).pending();
+      if (pending.length > 0) {
+        console.error(`❌ ${pending.length} pending migrations (${pending.map(migration => migration.name).join(', ')}), run: npm run migrate`);
+        process.exit(1);
+      }
+    }
+    console.log('✅ Database initialized');
+  } catch (err) {
+    console.error('❌ Database initialization failed:', err);
+    process.exit(1);
+  }
+});
+
+const wss = new WebSocketServer({ server });
+
 wss.on('connection', async (ws, req) => {
   const clientId = uuidv4();
-  const ipAddress = req.socket.remoteAddress;
+  // The client address as Express would report it, honouring TRUST_PROXY
+  const ipAddress = proxyaddr(req, app.get('trust proxy fn'));
+  
+  console.log(`✅ New connection: ${clientId} from ${ipAddress}`);
+  
+  // Answered protocol pings keep the socket (and its connections row) alive
+  ws.isAlive = true;
+  ws.on('pong', () => {
+    ws.isAlive = true;
+    if (connections.masters.has(clientId) || connections.receivers.has(clientId)) {
+      db.updateConnectionPing(clientId).catch(err => console.error('Pong error:', err));
+    }
+  });
+  
+  ws.on('message', async (message) => {
+    try {
+      const data = JSON.parse(message);
+      
+      if (!data || typeof data !== 'object') {
+        console.log('Invalid message format from client:', clientId);
+        return;
+      }
+      
+      switch(data.type) {
+        case 'register-master':
+          await registerMaster(clientId, ws, data, ipAddress);
+          break;
+          
+        case 'register-receiver':
+          await registerReceiver(clientId, ws, data, ipAddress);
+          break;
+          
+        case 'register-admin':
+          await registerAdmin(clientId, ws, data, ipAddress);
+          break;
+          
+        case 'subscribe':
+          handleSubscribe(clientId, ws, data);
+          break;
+          
+        case 'ack':
+          await handleAck(clientId, ws, data);
+          break;
+          
+        case 'execution-report':
+          await handleExecutionReport(clientId, ws, data);
+          break;
+          
+        case 'trade-signal':
+          // Only connections that registered with a valid master key may send trades
+          if (!connections.masters.has(clientId)) {
+            console.log(`Rejected trade signal from unregistered client ${clientId}`);
+            await db.log('warn', 'Trade signal from non-master rejected', { clientId, ip: ipAddress });
+            ws.send(JSON.stringify({ type: 'error', message: 'Register as master before sending trades' }));
+            break;
+          }
+          if (data.trade && typeof data.trade === 'object') {
+            const master = connections.masters.get(clientId);
+            const prepared = await prepareTradeSignal(data.trade, master.masterId, master.accountNumber);
+            if (prepared.error) {
+              console.log(`Rejected trade signal from ${clientId}: ${prepared.error}`);
+              ws.send(JSON.stringify({ type: 'error', message: prepared.error }));
+            } else {
+              await broadcastTradeSignal(prepared.signal, master.apiKeyId);
+            }
+          }
+          break;
+          
+        case 'ping':
+          ws.isAlive = true;
+          await handlePing(clientId, data);
+          ws.send(JSON.stringify({ type: 'pong', timestamp: Date.now() }));
+          break;
+          
+        default:
+          console.log('Unknown message type:', data.type);
+      }
+    } catch (err) {
+      console.error('Error handling message:', err);
+      await db.log('error', 'WebSocket message error', { clientId, error: err.message });
+    }
+  });
+  
+  ws.on('close', async () => {
+    console.log(`❌ Client disconnected: ${clientId}`);
+    await unregisterMaster(clientId);
+    await unregisterReceiver(clientId);
+    connections.admins.delete(clientId);
+    await db.log('info', 'Client disconnected', { clientId });
+  });
+  
+  ws.on('error', (error) => {
+    console.error('WebSocket error:', error);
+    db.log('error', 'WebSocket error', { clientId, error: error.message });
+  });
+});
+
+async function registerMaster(id, ws, data, ip) {
+  // Verify API key: either a signed registration (keyId, timestamp, nonce and
+  // signature over "register-master") or the plain key
+  let key = null;
+  if (data.signature) {
+    const result = await auth.verifySignedRequest({
+      keyId: data.keyId,
+      timestamp: data.timestamp,
+      nonce: data.nonce,
+      signature: data.signature,
+      method: 'WS',
+      path: 'register-master',
+      body: ''
+    });
+    key = result.key || null;
+  } else {
+    key = await auth.verifyAPIKey(data.apiKey, data.accountNumber);
+    if (key && key.signed_only) {
+      key = null;
+    }
+  }
+  
+  if (!key || (key.account_number && data.accountNumber && String(key.account_number) !== String(data.accountNumber))) {
+    ws.close(1008, 'Invalid API key');
+    await db.log('warn', 'Master rejected', { connectionId: id, ip });
+    return;
+  }
+  
+  connections.masters.set(id, {
+    ws,
+    apiKeyId: key.id,
+    masterId: masterIdentity(key.id, key.account_number),
+    // Plans and balance sizing only trust the account the key is bound to
+    accountNumber: key.account_number || null,
+    connected: Date.now(),
+    ping: 0,
+    ipAddress: ip
+  });
+  
+  await db.addConnection(id, 'master', null, ip, {
+    accountName: data.accountName,
+    accountNumber: data.accountNumber || key.account_number,
+    accountBalance: data.accountBalance,
+    accountCurrency: data.accountCurrency,
+    broker: data.broker
+  });
+  await db.log('info', 'Master registered', { connectionId: id, apiKeyId: key.id, label: key.label });
+  
+  broadcastToReceivers({
+    type: 'connection-update',
+    masters: connections.masters.size
+  });
+  
+  emitAdminEvent('connections', 'master-registered', {
+    connectionId: id, accountNumber: data.accountNumber || key.account_number, label: key.label, transport: 'ws', ip
+  });
+  console.log(`📡 Master registered: ${id}`);
+}
+
+async function registerReceiver(id, ws, data, ip) {
+  const lockedFor = licenseLockouts.remaining(ip);
+  if (lockedFor > 0) {
+    ws.send(JSON.stringify({
+      type: 'error', code: 'LOCKED_OUT', message: 'Too many invalid license attempts', retryAfter: Math.ceil(lockedFor / 1000)
+    }));
+    ws.close(1008, 'Too many invalid license attempts');
+    return;
+  }
+  
+  const sizing = parseReceiverSettings(data);
+  if (sizing.error) {
+    ws.close(1008, sizing.error);
+    return;
+  }
+  
+  const admission = await admitReceiver(ip, data.licenseKey, data.accountNumber, data.fingerprint, sizing.settings.risk_mode);
+  if (admission.code) {
+    ws.send(JSON.stringify({ type: 'error', code: admission.code, message: admission.message }));
+    ws.close(1008, admission.message);
+    await db.log('warn', 'Receiver rejected', { connectionId: id, licenseKey: data.licenseKey, reason: admission.code });
+    return;
+  }
+  
+  connections.receivers.set(id, {
+    ws,
+    licenseKey: data.licenseKey,
+    connected: Date.now(),
+    riskMode: sizing.settings.risk_mode,
+    ipAddress: ip
+  });
+  
+  await db.addConnection(id, 'receiver', data.licenseKey, ip, { accountNumber: String(data.accountNumber) });
+  await db.saveReceiverSettings(data.licenseKey, sizing.settings);
+  await db.log('info', 'Receiver registered', { connectionId: id, licenseKey: data.licenseKey });
+  
+  broadcastToMasters({
+    type: 'receiver-update',
+    totalReceivers: connections.receivers.size
+  });
+  
+  emitAdminEvent('connections', 'receiver-registered', {
+    connectionId: id, licenseKey: data.licenseKey, accountNumber: String(data.accountNumber), transport: 'ws', ip
+  });
+  console.log(`📥 Receiver registered: ${id}`);
+  
+  await replayPendingSignals(id);
+}
+
+// Admin dashboards authenticate with a session token, JWT or the API secret and
+// subscribe to topics of the live event stream (all topics by default)
+async function registerAdmin(id, ws, data, ip) {
+  const admin = data.token ? await auth.resolveToken(String(data.token)) : null;
+  if (!admin || !Auth.hasPermission(admin.role, 'logs:read')) {
+    ws.send(JSON.stringify({ type: 'error', message: 'Invalid admin credentials' }));
+    ws.close(1008, 'Invalid admin credentials');
+    await db.log('warn', 'Admin stream rejected', { connectionId: id, ip });
+    return;
+  }
+  
+  const topics = parseAdminTopics(data.topics);
+  if (topics.error) {
+    ws.send(JSON.stringify({ type: 'error', message: topics.error }));
+    return;
+  }
+  
+  connections.admins.set(id, {
+    ws,
+    username: admin.username || null,
+    expiresAt: admin.expiresAt || admin.exp || null,
+    topics: topics.topics,
+    ipAddress: ip
+  });
+  
+  ws.send(JSON.stringify({
+    type: 'admin-registered',
+    topics: [...topics.topics],
+    masters: connections.masters.size,
+    receivers: connections.receivers.size
+  }));
+  await db.log('info', 'Admin stream connected', { connectionId: id, username: admin.username || admin.type });
+  console.log(`🛰️  Admin stream connected: ${id}`);
+}
+
+function handleSubscribe(id, ws, data) {
+  const admin = connections.admins.get(id);
+  if (!admin) {
+    ws.send(JSON.stringify({ type: 'error', message: 'Register as admin before subscribing' }));
+    return;
+  }
+  
+  const topics = parseAdminTopics(data.topics);
+  if (topics.error) {
+    ws.send(JSON.stringify({ type: 'error', message: topics.error }));
+    return;
+  }
+  
+  admin.topics = topics.topics;
+  ws.send(JSON.stringify({ type: 'subscribed', topics: [...admin.topics] }));
+}
+
+function parseAdminTopics(topics) {
+  if (topics === undefined || topics === null) {
+    return { topics: new Set(ADMIN_TOPICS) };
+  }
+  if (!Array.isArray(topics) || topics.some(topic => !ADMIN_TOPICS.includes(topic))) {
+    return { error: `topics must be a list of: ${ADMIN_TOPICS.join(', ')}` };
+  }
+  return { topics: new Set(topics) };
+}
+
+// Send an event to the admin streams subscribed to its topic. Streams whose
+// session has expired are closed instead.
+function emitAdminEvent(topic, event, data) {
+  if (connections.admins.size === 0) {
+    return;
+  }
+  
+  const message = JSON.stringify({ type: 'event', topic, event, data, timestamp: Date.now() });
+  const now = Math.floor(Date.now() / 1000);
+  
+  connections.admins.forEach((admin, id) => {
+    if (admin.expiresAt && admin.expiresAt < now) {
+      connections.admins.delete(id);
+      admin.ws.close(1008, 'Session expired');
+      return;
+    }
+    if (admin.topics.has(topic) && admin.ws.readyState === WebSocket.OPEN) {
+      admin.ws.send(message);
+    }
+  });
+}
+
+async function unregisterMaster(id) {
+  if (connections.masters.delete(id)) {
+    await db.removeConnection(id);
+    emitAdminEvent('connections', 'master-disconnected', { connectionId: id });
+    broadcastToReceivers({
+      type: 'connection-update',
+      masters: connections.masters.size
+    });
+  }
+}
+
+async function unregisterReceiver(id) {
+  const receiver = connections.receivers.get(id);
+  if (connections.receivers.delete(id)) {
+    await db.removeConnection(id);
+    emitAdminEvent('connections', 'receiver-disconnected', { connectionId: id, licenseKey: receiver.licenseKey });
+    broadcastToMasters({
+      type: 'receiver-update',
+      totalReceivers: connections.receivers.size
+    });
+  }
+}
+
+// Master tickets are only unique per master account, so positions are keyed by
+// the sending master as well: the account its API key is bound to, or the key
+// itself. Both come from the authenticated key, never from the request.
+function masterIdentity(apiKeyId, boundAccount) {
+  return boundAccount ? `account:${boundAccount}` : `key:${apiKeyId}`;
+}
+
+// Validates a master trade from the master identified by masterId (trading on
+// masterAccount, if its key is bound to one) and builds the signal to queue.
+// Only MASTER_TRADE_FIELDS are taken from the trade. Follow-up signals (MODIFY,
+// CLOSE, PARTIAL_CLOSE) inherit symbol and direction from that master's
+// position they refer to. Returns { signal } or { error }.
+async function prepareTradeSignal(trade, masterId, masterAccount) {
+  if (!trade || typeof trade !== 'object') {
+    return { error: 'Invalid trade signal' };
+  }
+  
+  const signalType = String(trade.signalType || 'OPEN').toUpperCase();
+  if (!SIGNAL_TYPES.includes(signalType)) {
+    return { error: `Unknown signal type: ${trade.signalType}` };
+  }
+  
+  for (const field of ['sl', 'tp']) {
+    if (trade[field] !== undefined && trade[field] !== null && !(Number(trade[field]) >= 0)) {
+      return { error: `${field} must be a non-negative number` };
+    }
+  }
+  if (trade.price !== undefined && trade.price !== null && !isPositiveNumber(trade.price)) {
+    return { error: 'price must be a positive number' };
+  }
+  
+  const signal = {};
+  for (const field of MASTER_TRADE_FIELDS) {
+    if (trade[field] !== undefined) {
+      signal[field] = trade[field];
+    }
+  }
+  
+  const hasTicket = trade.masterTicket !== undefined && trade.masterTicket !== null && trade.masterTicket !== '';
+  Object.assign(signal, {
+    signalType,
+    masterTicket: hasTicket ? String(trade.masterTicket) : null,
+    masterId,
+    masterAccount: masterAccount || null,
+    id: `sig_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    sl: Number(trade.sl) || 0,
+    tp: Number(trade.tp) || 0,
+    timestamp: Date.now()
+  });
+  if (signal.price !== undefined && signal.price !== null) {
+    signal.price = Number(signal.price);
+  }
+  
+  if (signalType === 'OPEN') {
+    if (!trade.symbol || !trade.action || trade.volume === undefined) {
+      return { error: 'Missing required trade data' };
+    }
+    if (!isPositiveNumber(trade.volume)) {
+      return { error: 'volume must be a positive number' };
+    }
+    signal.volume = Number(trade.volume);
+    // Balance-proportional sizing compares each receiver against the sending master's account
+    signal.masterBalance = await getMasterBalance(masterAccount);
+    return { signal };
+  }
+  
+  if (!signal.masterTicket) {
+    return { error: `Master ticket required for ${signalType}` };
+  }
+  
+  const position = await db.getMasterPosition(masterId, signal.masterTicket);
+  if (!position || position.status !== 'open') {
+    return { error: 'Unknown or closed master position' };
+  }
+  
+  signal.symbol = position.symbol;
+  signal.action = position.action;
+  signal.sl = position.sl || 0;
+  signal.tp = position.tp || 0;
+  
+  if (signalType === 'MODIFY') {
+    signal.volume = position.volume;
+    if (trade.sl !== undefined) signal.sl = trade.sl || 0;
+    if (trade.tp !== undefined) signal.tp = trade.tp || 0;
+  } else if (signalType === 'PARTIAL_CLOSE') {
+    const volume = Number(trade.volume);
+    if (!isPositiveNumber(volume) || volume >= position.volume) {
+      return { error: 'Partial close volume must be between 0 and the open position volume' };
+    }
+    signal.volume = volume;
+    // Receivers sized differently from the master close the same share of their position
+    signal.closeRatio = volume / position.volume;
+  } else {
+    signal.volume = position.volume;
+    signal.closeRatio = 1;
+  }
+  
+  // Closes may carry the master's realized profit for performance analytics
+  if (signalType !== 'MODIFY' && trade.profit !== undefined && trade.profit !== null) {
+    signal.profit = Number(trade.profit);
+    if (!Number.isFinite(signal.profit)) {
+      return { error: 'profit must be a number' };
+    }
+  } else {
+    delete signal.profit;
+  }
+  
+  return { signal };
+}
+
+async function broadcastTradeSignal(signal, apiKeyId = null) {
+  if (!signal || typeof signal !== 'object') {
+    console.error('Invalid trade signal:', signal);
+    return null;
+  }
+  
+  // Persist before fan-out so polling and reconnecting receivers can catch up.
+  // The source records which master key sent the signal.
+  const source = apiKeyId ? `master:${apiKeyId}` : (signal.licenseKey || 'master');
+  signal.seq = await db.enqueueSignal(signal.id, source, signal);
+  await trackMasterPosition(signal);
+  
+  console.log(`📤 Broadcasting trade signal:`, signal);
+  
+  // Log trade to database
+  try {
+    await db.logTrade(
+      signal.licenseKey || 'master',
+      signal.symbol,
+      signal.action,
+      signal.volume,
+      signal.sl || null,
+      signal.tp || null,
+      signal.seq,
+      signal.signalType,
+      apiKeyId,
+      signal.profit !== undefined ? signal.profit : null
+    );
+  } catch (err) {
+    console.error('Error logging trade:', err);
+  }
+  
+  // Broadcast to all receivers, each with its own copy of the signal. The
+  // delivered cursor only moves once the copy was written to an open socket;
+  // anything else stays pending and is replayed when the receiver reconnects.
+  let sent = 0;
+  let filtered = 0;
+  for (const receiver of connections.receivers.values()) {
+    try {
+      if (!receiver || !receiver.ws || receiver.ws.readyState !== WebSocket.OPEN) {
+        continue;
+      }
+      const copy = await buildReceiverCopy(signal, receiver.licenseKey);
+      if (!copy) {
+        filtered++;
+        continue;
+      }
+      await sendToReceiver(receiver.ws, JSON.stringify({
+        type: 'trade-signal',
+        trade: copy,
+        timestamp: Date.now()
+      }));
+      await db.markSignalsDelivered(receiver.licenseKey, signal.seq);
+      sent++;
+    } catch (err) {
+      console.error('Error sending to receiver:', err);
+    }
+  }
+  
+  notifySignalWaiters();
+  
+  console.log(`✅ Signal sent to ${sent} receivers (${filtered} filtered)`);
+  await db.log('info', 'Trade signal broadcasted', {
+    symbol: signal.symbol,
+    signalType: signal.signalType,
+    masterTicket: signal.masterTicket,
+    seq: signal.seq,
+    apiKeyId,
+    receivers: sent,
+    filtered
+  });
+  emitAdminEvent('signals', 'signal', {
+    seq: signal.seq,
+    id: signal.id,
+    signalType: signal.signalType,
+    symbol: signal.symbol,
+    action: signal.action,
+    volume: signal.volume,
+    masterTicket: signal.masterTicket,
+    apiKeyId,
+    delivered: sent,
+    filtered,
+    receivers: connections.receivers.size
+  });
+  
+  return signal;
+}
+
+// Send on a receiver's WebSocket or SSE channel; resolves once the message was
+// written and rejects if the connection is no longer open
+function sendToReceiver(ws, message) {
+  return new Promise((resolve, reject) => {
+    if (ws.readyState !== WebSocket.OPEN) {
+      return reject(new Error('Receiver connection is not open'));
+    }
+    ws.send(message, err => (err ? reject(err) : resolve()));
+  });
+}
+
+// License terms (expiry days, device limits) are whole numbers from 1 up
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value >= 1;
+}
+
+// A finite number above zero, given as a number or numeric string
+function isPositiveNumber(value) {
+  if (typeof value !== 'number' && typeof value !== 'string') {
+    return false;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0;
+}
+
+// Keep the master's open positions in step with the signals it sends
+async function trackMasterPosition(signal) {
+  if (!signal.masterTicket) {
+    return;
+  }
+  const masterId = signal.masterId || '';
+  
+  switch (signal.signalType) {
+    case 'OPEN':
+      await db.openMasterPosition(masterId, signal.masterTicket, signal);
+      break;
+      
+    case 'MODIFY':
+      await db.updateMasterPosition(masterId, signal.masterTicket, { sl: signal.sl, tp: signal.tp });
+      break;
+      
+    case 'PARTIAL_CLOSE': {
+      const position = await db.getMasterPosition(masterId, signal.masterTicket);
+      // Round away floating point noise from repeated lot subtraction
+      const remaining = Math.round((position.volume - signal.volume) * 1e8) / 1e8;
+      await db.updateMasterPosition(masterId, signal.masterTicket, { volume: remaining });
+      break;
+    }
+      
+    case 'CLOSE':
+      await db.updateMasterPosition(masterId, signal.masterTicket, { status: 'closed' });
+      break;
+  }
+}
+
+// Adapt a queued signal for one receiver: the receiver's filters are applied,
+// the symbol is mapped to the name used at the receiver's broker, OPEN signals
+// are sized with the receiver's risk settings, and follow-ups carry the ticket
+// and volume of the receiver's own position that copies the master position.
+// The copy is recorded in the trade log the first time it is built. Returns
+// null when the license's plan or the receiver's filters reject the signal, or
+// when the copy would be smaller than the receiver's minimum lot.
+async function buildReceiverCopy(signal, licenseKey) {
+  const withhold = async (reason) => {
+    const recorded = await db.recordFilteredSignal(signal.seq, licenseKey, signal.symbol, reason);
+    if (recorded.changes > 0) {
+      await db.log('info', 'Signal filtered', { seq: signal.seq, licenseKey, symbol: signal.symbol, reason });
+    }
+    return null;
+  };
+  
+  const plan = await db.getLicensePlan(licenseKey);
+  const filters = await db.getReceiverFilters(licenseKey);
+  const reason = Plans.checkSignal(signal, plan) || SignalFilter.evaluate(signal, filters);
+  if (reason) {
+    return withhold(reason);
+  }
+  
+  const settings = await db.getReceiverSettings(licenseKey) || {};
+  const rules = await db.getSymbolMappings({ licenseKey, broker: settings.broker });
+  const copy = {
+    ...signal,
+    symbol: SymbolMapper.resolve(signal.symbol, rules),
+    masterSymbol: signal.symbol,
+    masterVolume: signal.volume
+  };
+  
+  if (signal.signalType === 'OPEN' || !signal.masterTicket) {
+    const sizing = LotSizing.calculate(copy, settings);
+    if (sizing.volume === null) {
+      return withhold('Volume below minimum lot');
+    }
+    copy.volume = sizing.volume;
+    copy.sizingMode = sizing.fallback ? 'multiplier' : sizing.mode;
+    
+    if (filters && filters.max_volume && copy.volume > filters.max_volume) {
+      copy.volume = filters.max_volume;
+      copy.volumeCapped = true;
+    }
+  } else {
+    const mapping = await db.getPositionMapping(signal.masterId || '', signal.masterTicket, licenseKey);
+    const open = mapping && mapping.status === 'open';
+    copy.receiverTicket = open ? mapping.receiver_ticket : null;
+    
+    if (open && mapping.volume) {
+      copy.volume = signal.signalType === 'PARTIAL_CLOSE'
+        ? LotSizing.normalizeVolume(mapping.volume * signal.closeRatio, settings)
+        : mapping.volume;
+      if (copy.volume === null) {
+        return withhold('Partial close volume below minimum lot');
+      }
+    }
+  }
+  
+  await db.logTradeCopy(licenseKey, copy);
+  return copy;
+}
+
+// Sign an offline license token for a verified device. The EA should refresh
+// it after refreshAt and stops trusting it at exp, never past the license expiry.
+function issueLicenseToken(license, device, plan) {
+  const now = Math.floor(Date.now() / 1000);
+  const refreshAt = Math.min(now + LICENSE_TOKEN_TTL, license.expiry_date);
+  const exp = Math.min(refreshAt + LICENSE_GRACE_PERIOD, license.expiry_date);
+  
+  const licenseToken = auth.generateLicenseToken({
+    typ: 'license',
+    sub: license.license_key,
+    dev: device.id,
+    acct: device.account_number,
+    fp: device.fingerprint,
+    lexp: license.expiry_date,
+    ent: Plans.entitlements(plan),
+    rat: refreshAt,
+    exp
+  });
+  
+  return { licenseToken, tokenRefreshAt: refreshAt * 1000, tokenExpiry: exp * 1000 };
+}
+
+// Look up the license a receiver or EA sent. Unknown keys count towards the
+// client's lockout; the lockout that starts is logged.
+async function getReceiverLicense(ip, licenseKey) {
+  const license = await db.getLicense(licenseKey);
+  if (!license) {
+    const lockout = licenseLockouts.fail(ip);
+    if (lockout) {
+      const seconds = Math.ceil(lockout.lockedFor / 1000);
+      await db.log('warn', 'Client locked out after invalid license attempts', {
+        ip, licenseKey, lockedForSeconds: seconds, lockouts: lockout.lockouts
+      });
+      console.log(`🔒 Locked out ${ip} for ${seconds}s after invalid license attempts`);
+    }
+  }
+  return license;
+}
+
+// License status as an error for receivers, or null if the license is usable
+function checkLicense(license) {
+  if (!license) {
+    return { code: 'LICENSE_NOT_FOUND', message: 'Invalid license' };
+  }
+  if (license.status === 'revoked') {
+    return { code: 'LICENSE_REVOKED', message: 'License revoked' };
+  }
+  if (license.status === 'suspended') {
+    return { code: 'LICENSE_SUSPENDED', message: license.status_reason ? `License suspended: ${license.status_reason}` : 'License suspended' };
+  }
+  if (license.status !== 'active') {
+    return { code: 'LICENSE_INACTIVE', message: 'License inactive' };
+  }
+  if (Math.floor(Date.now() / 1000) > license.expiry_date) {
+    return { code: 'LICENSE_EXPIRED', message: 'License expired' };
+  }
+  return null;
+}
+
+// Plan limits on a receiver that is about to register, or null if it may.
+// Other MT5 accounts that pinged recently count towards maxReceivers.
+async function checkEntitlements(license, plan, accountNumber, riskMode) {
+  if (!plan) {
+    return null;
+  }
+  
+  if (!Plans.allowsRiskMode(plan, riskMode)) {
+    return { code: 'RISK_MODE_NOT_ALLOWED', message: `Risk mode ${riskMode} not included in plan ${plan.name}` };
+  }
+  
+  const since = Math.floor(Date.now() / 1000) - RECEIVER_ACTIVE_WINDOW;
+  const active = await db.countActiveReceiverAccounts(license.license_key, since, String(accountNumber));
+  if (active >= plan.max_receivers) {
+    return { code: 'RECEIVER_LIMIT_REACHED', message: `Plan ${plan.name} allows ${plan.max_receivers} simultaneous receiver(s)` };
+  }
+  
+  return null;
+}
+
+// License list filters from query parameters (expiry bounds as ISO dates)
+function parseLicenseFilters(query) {
+  const toSeconds = (value) => {
+    const time = value ? Date.parse(value) : NaN;
+    return Number.isNaN(time) ? null : Math.floor(time / 1000);
+  };
   
-  console.log(`✅ New connection: ${clientId} from ${ipAddress}`);
+  return {
+    status: query.status || null,
+    plan: query.plan || null,
+    email: query.email || null,
+    expiresBefore: toSeconds(query.expiresBefore),
+    expiresAfter: toSeconds(query.expiresAfter)
+  };
+}
+
+// Check CSV license rows (columns license_key, user_email, expiry_date or
+// expiry_days, max_devices, plan). Each row comes back with status valid,
+// invalid or duplicate, its errors and, when valid, the license to create.
+async function validateLicenseImport(records) {
+  const plans = new Map((await db.getPlans()).map(plan => [plan.name.toLowerCase(), plan]));
+  const keys = records.map(record => record.license_key).filter(Boolean);
+  const existing = new Set(await db.getExistingLicenseKeys(keys));
+  const seen = new Set();
+  const now = Math.floor(Date.now() / 1000);
   
-  ws.on('message', async (message) => {
-    try {
-      const data = JSON.parse(message);
-      
-      if (!data || typeof data !== 'object') {
-        console.log('Invalid message format from client:', clientId);
-        return;
+  return records.map(record => {
+    const errors = [];
+    const licenseKey = record.license_key || Auth.generateLicenseKey();
+    
+    if (record.license_key && !/^[A-Za-z0-9-]{8,64}$/.test(record.license_key)) {
+      errors.push('license_key must be 8-64 letters, digits or dashes');
+    }
+    if (record.user_email && !record.user_email.includes('@')) {
+      errors.push('user_email is not an email address');
+    }
+    
+    let expiryDate = null;
+    if (record.expiry_date) {
+      const time = /^\d+$/.test(record.expiry_date) ? parseInt(record.expiry_date) * 1000 : Date.parse(record.expiry_date);
+      if (Number.isNaN(time)) {
+        errors.push('expiry_date must be a date or unix timestamp');
+      } else {
+        expiryDate = Math.floor(time / 1000);
       }
-      
-      switch(data.type) {
-        case 'register-master':
-          await registerMaster(clientId, ws, data, ipAddress);
-          break;
-          
-        case 'register-receiver':
-          await registerReceiver(clientId, ws, data, ipAddress);
-          break;
-          
-        case 'trade-signal':
-          if (data.trade && typeof data.trade === 'object') {
-            await broadcastTradeSignal(data.trade);
-          }
-          break;
-          
-        case 'ping':
-          await handlePing(clientId, data);
-          ws.send(JSON.stringify({ type: 'pong', timestamp: Date.now() }));
-          break;
-          
-        default:
-          console.log('Unknown message type:', data.type);
+    } else if (record.expiry_days) {
+      const days = Number(record.expiry_days);
+      if (!isPositiveInteger(days)) {
+        errors.push('expiry_days must be a positive integer');
+      } else {
+        expiryDate = now + days * 24 * 60 * 60;
       }
-    } catch (err) {
-      console.error('Error handling message:', err);
-      await db.log('error', 'WebSocket message error', { clientId, error: err.message });
+    } else {
+      errors.push('expiry_date or expiry_days required');
+    }
+    if (expiryDate !== null && expiryDate <= now) {
+      errors.push('expiry is in the past');
+    }
+    
+    const maxDevices = record.max_devices ? Number(record.max_devices) : DEFAULT_MAX_DEVICES;
+    if (!isPositiveInteger(maxDevices)) {
+      errors.push('max_devices must be a positive integer');
+    }
+    
+    const plan = record.plan ? plans.get(record.plan.toLowerCase()) : null;
+    if (record.plan && !plan) {
+      errors.push(`Unknown plan ${record.plan}`);
+    }
+    
+    if (existing.has(licenseKey) || seen.has(licenseKey)) {
+      return { line: record.line, licenseKey, status: 'duplicate', errors: ['license_key already exists'] };
     }
+    seen.add(licenseKey);
+    
+    if (errors.length > 0) {
+      return { line: record.line, licenseKey: record.license_key || null, status: 'invalid', errors };
+    }
+    
+    // Generated keys are only reported once the license is created
+    return {
+      line: record.line,
+      licenseKey: record.license_key || null,
+      status: 'valid',
+      errors: [],
+      license: {
+        licenseKey,
+        user: record.user_email || null,
+        expiryDate,
+        maxDevices,
+        planId: plan ? plan.id : null,
+        plan: plan ? plan.name : null
+      }
+    };
   });
+}
+
+// Trade history filters, sorting and cursor from query parameters. Dates are
+// ISO strings or unix seconds. Returns { filters, options } or { error }.
+function parseTradeQuery(query) {
+  const toSeconds = (value) => {
+    if (!value) {
+      return null;
+    }
+    const time = /^\d+$/.test(value) ? parseInt(value) * 1000 : Date.parse(value);
+    return Number.isNaN(time) ? undefined : Math.floor(time / 1000);
+  };
   
-  ws.on('close', async () => {
-    console.log(`❌ Client disconnected: ${clientId}`);
-    await unregisterMaster(clientId);
-    await unregisterReceiver(clientId);
-    await db.log('info', 'Client disconnected', { clientId });
-  });
+  const from = toSeconds(query.from);
+  const to = toSeconds(query.to);
+  if (from === undefined || to === undefined) {
+    return { error: 'from and to must be dates or unix timestamps' };
+  }
   
-  ws.on('error', (error) => {
-    console.error('WebSocket error:', error);
-    db.log('error', 'WebSocket error', { clientId, error: error.message });
-  });
-});
+  if (query.source && !['master', 'copy'].includes(query.source)) {
+    return { error: 'source must be master or copy' };
+  }
+  if (query.executed && !['true', 'false'].includes(query.executed)) {
+    return { error: 'executed must be true or false' };
+  }
+  
+  const sort = query.sort || 'timestamp';
+  if (!TRADE_SORT_COLUMNS.includes(sort)) {
+    return { error: `sort must be one of: ${TRADE_SORT_COLUMNS.join(', ')}` };
+  }
+  const order = query.order || 'desc';
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: 'order must be asc or desc' };
+  }
+  
+  let after = null;
+  if (query.cursor) {
+    try {
+      after = JSON.parse(Buffer.from(query.cursor, 'base64url').toString());
+    } catch (err) {
+      after = null;
+    }
+    if (!after || !Number.isInteger(after.id) || after.value === undefined) {
+      return { error: 'Invalid cursor' };
+    }
+  }
+  
+  return {
+    filters: {
+      licenseKey: query.licenseKey || null,
+      symbol: query.symbol || null,
+      action: query.action || null,
+      source: query.source || null,
+      signalSeq: query.seq ? parseInt(query.seq) : null,
+      executed: query.executed ? query.executed === 'true' : null,
+      from,
+      to
+    },
+    options: { sort, order, after }
+  };
+}
 
-async function registerMaster(id, ws, data, ip) {
-  // Verify API key
-  if (!auth.verifyAPIKey(data.apiKey)) {
-    ws.close(1008, 'Invalid API key');
-    return;
+// Per-admin routes need a login session; the API secret and tokens have no admin account
+function requireAdminUser(req, res, next) {
+  if (!req.auth.userId) {
+    return res.status(403).json({ success: false, message: 'Log in with an admin account to use settings' });
+  }
+  next();
+}
+
+// Validate a dashboard setting and serialize its value. Returns { value } or { error }.
+function serializeSetting(key, value) {
+  if (!SETTING_KEY_PATTERN.test(key)) {
+    return { error: 'Setting keys are 1-64 letters, digits, _ . : or -' };
+  }
+  if (value === undefined) {
+    return { error: 'value required' };
   }
   
-  connections.masters.set(id, {
-    ws,
-    apiKey: data.apiKey,
-    connected: Date.now(),
-    ping: 0,
-    ipAddress: ip
+  const json = JSON.stringify(value);
+  if (Buffer.byteLength(json) > SETTING_MAX_BYTES) {
+    return { error: `Setting ${key} is larger than ${SETTING_MAX_BYTES} bytes` };
+  }
+  return { value: json };
+}
+
+// Settings saved before values were stored as JSON come back as plain strings
+function readSettingValue(value) {
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    return value;
+  }
+}
+
+// Who made an admin change, for the license history
+function adminActor(req) {
+  return req.auth.username || (req.auth.type === 'api_secret' ? 'api_secret' : 'token');
+}
+
+// Close live WebSocket receivers of a license that can no longer be used
+function disconnectLicenseReceivers(licenseKey, reason) {
+  connections.receivers.forEach((receiver) => {
+    if (receiver.licenseKey === licenseKey) {
+      receiver.ws.close(1008, reason);
+    }
   });
+}
+
+// Bind the receiver's MT5 account and terminal fingerprint to the license, or
+// explain why the license cannot be used on it. Returns { device } or { code, message }.
+async function bindLicenseDevice(license, accountNumber, fingerprint) {
+  if (!accountNumber || !fingerprint || String(fingerprint).length > 128) {
+    return { code: 'DEVICE_INFO_REQUIRED', message: 'MT5 account number and terminal fingerprint required' };
+  }
   
-  await db.addConnection(id, 'master', null, ip);
-  await db.log('info', 'Master registered', { connectionId: id });
+  const account = String(accountNumber);
+  const existing = await db.getLicenseDevice(license.license_key, account, String(fingerprint));
+  if (existing && existing.status === 'active') {
+    await db.touchLicenseDevice(existing.id);
+    return { device: existing };
+  }
   
-  broadcastToReceivers({
-    type: 'connection-update',
-    masters: connections.masters.size
-  });
+  const binding = await db.bindLicenseDevice(license.license_key, account, String(fingerprint), license.max_devices || 1);
+  if (!binding) {
+    return { code: 'DEVICE_LIMIT_REACHED', message: 'License is bound to another device' };
+  }
   
-  console.log(`📡 Master registered: ${id}`);
+  if (binding.bound) {
+    await db.log('info', 'License device bound', { licenseKey: license.license_key, deviceId: binding.device.id, accountNumber: account });
+  }
+  return { device: binding.device };
 }
 
-async function registerReceiver(id, ws, data, ip) {
-  // Verify license
-  const license = await db.getLicense(data.licenseKey);
+// The checks every receiver passes before it is registered, whatever its
+// transport: the license is usable, the MT5 account and fingerprint are bound
+// to it (binding them if a device slot is free), and the plan allows the risk
+// mode and another receiver. Returns { license, plan } or { status, code, message }.
+async function admitReceiver(ip, licenseKey, accountNumber, fingerprint, riskMode) {
+  const license = await getReceiverLicense(ip, licenseKey);
+  const licenseError = checkLicense(license);
+  if (licenseError) {
+    return { status: 401, ...licenseError };
+  }
   
-  if (!license || license.status !== 'active' || Math.floor(Date.now() / 1000) > license.expiry_date) {
-    ws.close(1008, 'Invalid or expired license');
-    await db.log('warn', 'Receiver rejected', { connectionId: id, licenseKey: data.licenseKey });
-    return;
+  // Only devices bound to the license (up to its max_devices) may receive
+  const binding = await bindLicenseDevice(license, accountNumber, fingerprint);
+  if (binding.code) {
+    return { status: binding.code === 'DEVICE_INFO_REQUIRED' ? 400 : 409, ...binding };
   }
   
-  connections.receivers.set(id, {
-    ws,
-    licenseKey: data.licenseKey,
-    connected: Date.now(),
-    riskMode: data.riskMode || 1,
-    ipAddress: ip
-  });
+  const plan = await db.getLicensePlan(license.license_key);
+  const entitlementError = await checkEntitlements(license, plan, accountNumber, riskMode);
+  if (entitlementError) {
+    return { status: 403, ...entitlementError };
+  }
   
-  await db.addConnection(id, 'receiver', data.licenseKey, ip);
-  await db.log('info', 'Receiver registered', { connectionId: id, licenseKey: data.licenseKey });
+  return { license, plan };
+}
+
+// Check a request from a receiver that registered over HTTP: the license must
+// be usable and the MT5 account and fingerprint must be a device bound to it.
+// Unlike registering, this never binds a new device. Returns { license, device }
+// or { status, code, message }.
+async function verifyReceiverDevice(ip, licenseKey, accountNumber, fingerprint) {
+  const license = await getReceiverLicense(ip, licenseKey);
+  const licenseError = checkLicense(license);
+  if (licenseError) {
+    return { status: 401, ...licenseError };
+  }
   
-  broadcastToMasters({
-    type: 'receiver-update',
-    totalReceivers: connections.receivers.size
+  if (!accountNumber || !fingerprint) {
+    return { status: 400, code: 'DEVICE_INFO_REQUIRED', message: 'MT5 account number and terminal fingerprint required' };
+  }
+  
+  const device = await db.getLicenseDevice(license.license_key, String(accountNumber), String(fingerprint));
+  if (!device || device.status !== 'active') {
+    return { status: 403, code: 'DEVICE_NOT_BOUND', message: 'Device is not bound to this license; register it first' };
+  }
+  
+  return { license, device };
+}
+
+// Create a login session, set it as an HttpOnly cookie and return the raw token
+// (stored hashed; bearer clients send it in the Authorization header)
+async function startSession(userId, req, res) {
+  const token = Auth.generateSessionToken();
+  const expiresAt = Math.floor(Date.now() / 1000) + SESSION_TTL;
+  
+  await db.createSession(userId, Auth.hashToken(token), req.ip, req.headers['user-agent'] || null, expiresAt);
+  
+  res.cookie(Auth.sessionCookie, token, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: config.nodeEnv === 'production',
+    maxAge: SESSION_TTL * 1000,
+    path: '/'
   });
   
-  console.log(`📥 Receiver registered: ${id}`);
+  return { token, expiresAt };
 }
 
-async function unregisterMaster(id) {
-  if (connections.masters.delete(id)) {
-    await db.removeConnection(id);
-    broadcastToReceivers({
-      type: 'connection-update',
-      masters: connections.masters.size
-    });
+// Map the sizing fields sent by a receiver EA to receiver_settings columns.
+// Returns { settings } or { error }.
+function parseReceiverSettings(data) {
+  const riskMode = LotSizing.normalizeMode(data.riskMode);
+  if (!riskMode) {
+    return { error: 'Unknown risk mode' };
+  }
+  
+  const toNumber = (value) => (value === undefined || value === null || value === '' ? undefined : Number(value));
+  const settings = {
+    risk_mode: riskMode,
+    fixed_lot: toNumber(data.lotSize),
+    multiplier: toNumber(data.multiplier),
+    risk_percent: toNumber(data.riskPercent),
+    account_balance: toNumber(data.accountBalance),
+    account_currency: data.accountCurrency,
+    min_lot: toNumber(data.minLot),
+    max_lot: toNumber(data.maxLot),
+    lot_step: toNumber(data.lotStep),
+    contract_sizes: data.contractSizes && typeof data.contractSizes === 'object'
+      ? JSON.stringify(data.contractSizes)
+      : undefined,
+    tick_values: data.tickValues && typeof data.tickValues === 'object'
+      ? JSON.stringify(data.tickValues)
+      : undefined,
+    broker: data.broker
+  };
+  
+  const invalid = Object.entries(settings).find(([, value]) => typeof value === 'number' && !(value >= 0));
+  if (invalid) {
+    return { error: `Invalid ${invalid[0]}` };
   }
+  
+  return { settings };
 }
 
-async function unregisterReceiver(id) {
-  if (connections.receivers.delete(id)) {
-    await db.removeConnection(id);
-    broadcastToMasters({
-      type: 'receiver-update',
-      totalReceivers: connections.receivers.size
-    });
+// Receivers report their balance on heartbeats so balance and risk sizing stay current
+async function updateReceiverBalance(connectionId, accountBalance) {
+  const balance = Number(accountBalance);
+  if (accountBalance === undefined || !(balance >= 0)) {
+    return;
+  }
+  
+  const connection = await db.getConnectionById(connectionId);
+  if (connection && connection.type === 'receiver' && connection.license_key) {
+    await db.saveReceiverSettings(connection.license_key, { account_balance: balance });
   }
 }
 
-async function broadcastTradeSignal(trade) {
-  if (!trade || typeof trade !== 'object') {
-    console.error('Invalid trade signal:', trade);
+// Balance last reported by a registered master for this account, null when
+// the account is unknown or never reported one
+async function getMasterBalance(accountNumber) {
+  if (!accountNumber) {
+    return null;
+  }
+  const masters = await db.getConnectionsByType('master');
+  const withBalance = (masters || [])
+    .filter(m => m.account_number === String(accountNumber) && m.account_balance > 0)
+    .sort((a, b) => b.connected_at - a.connected_at);
+  return withBalance.length > 0 ? withBalance[0].account_balance : null;
+}
+
+async function getReceiverCursor(licenseKey) {
+  const cursor = await db.getReceiverCursor(licenseKey);
+  if (cursor) {
+    return cursor;
+  }
+  return db.createReceiverCursor(licenseKey, await db.getLatestSignalSeq());
+}
+
+// Send every signal the receiver has not acked yet (after a reconnect or restart)
+async function replayPendingSignals(id) {
+  const receiver = connections.receivers.get(id);
+  if (!receiver || !receiver.ws) {
     return;
   }
   
-  console.log(`📤 Broadcasting trade signal:`, trade);
+  // Each signal only counts as delivered once it was written to the socket;
+  // the rest stay pending for the next reconnect
+  const { signals } = await getPendingCopies(receiver.licenseKey, false);
+  let replayed = 0;
   
-  // Log trade to database
-  try {
-    await db.logTrade(
-      trade.licenseKey || 'master',
-      trade.symbol || 'UNKNOWN',
-      trade.action || 'UNKNOWN',
-      trade.volume || 0,
-      trade.sl || null,
-      trade.tp || null
-    );
-  } catch (err) {
-    console.error('Error logging trade:', err);
+  for (const signal of signals) {
+    try {
+      await sendToReceiver(receiver.ws, JSON.stringify({
+        type: 'trade-signal',
+        trade: signal,
+        replay: true,
+        timestamp: Date.now()
+      }));
+      await db.markSignalsDelivered(receiver.licenseKey, signal.seq);
+      replayed++;
+    } catch (err) {
+      console.error(`Replay to ${id} stopped:`, err.message);
+      break;
+    }
   }
   
-  // Broadcast to all receivers
-  const message = JSON.stringify({
-    type: 'trade-signal',
-    trade: trade,
-    timestamp: Date.now()
-  });
+  if (replayed > 0) {
+    console.log(`🔁 Replayed ${replayed} pending signals to ${id}`);
+  }
+}
+
+// Build this receiver's copies of every signal after its ack cursor and, unless
+// the caller marks them itself as it sends them, mark them delivered. Filtered
+// signals are left out; those at the head of the queue are acked on the
+// receiver's behalf so they never hold its cursor back.
+async function getPendingCopies(licenseKey, markDelivered = true) {
+  const cursor = await getReceiverCursor(licenseKey);
+  const pending = await db.getSignalsAfter(cursor.acked_seq, SIGNAL_BATCH_LIMIT);
+  const signals = [];
+  let skippedHead = null;
   
-  let sent = 0;
-  connections.receivers.forEach((receiver) => {
+  for (const signal of pending) {
+    const copy = await buildReceiverCopy(signal, licenseKey);
+    if (copy) {
+      signals.push(copy);
+    } else if (signals.length === 0) {
+      skippedHead = signal.seq;
+    }
+  }
+  
+  if (markDelivered && pending.length > 0) {
+    await db.markSignalsDelivered(licenseKey, pending[pending.length - 1].seq);
+  }
+  
+  if (skippedHead !== null) {
+    await db.ackSignals(licenseKey, skippedHead);
+  }
+  
+  return {
+    cursor: skippedHead !== null ? skippedHead : cursor.acked_seq,
+    signals
+  };
+}
+
+// getPendingCopies for a long-poll: if nothing is pending, wait for new signals
+// until one passes this receiver's filters, the wait is over or the client left
+async function waitForPendingCopies(licenseKey, waitMs, res) {
+  const deadline = Date.now() + waitMs;
+  let result;
+  
+  do {
+    // Listen before reading the queue, so a signal queued during the read
+    // still wakes this poll
+    let wake;
+    const woken = new Promise(resolve => { wake = resolve; });
+    signalWaiters.add(wake);
+    res.on('close', wake);
     try {
-      if (receiver && receiver.ws) {
-        receiver.ws.send(message);
-        sent++;
+      result = await getPendingCopies(licenseKey);
+      if (result.signals.length > 0 || Date.now() >= deadline || res.destroyed) {
+        break;
       }
-    } catch (err) {
-      console.error('Error sending to receiver:', err);
+      const timer = setTimeout(wake, deadline - Date.now());
+      await woken;
+      clearTimeout(timer);
+    } finally {
+      signalWaiters.delete(wake);
+      res.off('close', wake);
     }
+  } while (!res.destroyed);
+  
+  return result;
+}
+
+// Wake every waiting long-poll; each checks its own receiver's queue
+function notifySignalWaiters() {
+  for (const waiter of [...signalWaiters]) {
+    waiter();
+  }
+}
+
+async function handleAck(id, ws, data) {
+  const receiver = connections.receivers.get(id);
+  const seq = parseInt(data.seq);
+  
+  if (!receiver || !Number.isInteger(seq) || seq < 0) {
+    return;
+  }
+  
+  await db.ackSignals(receiver.licenseKey, seq);
+  const cursor = await db.getReceiverCursor(receiver.licenseKey);
+  ws.send(JSON.stringify({ type: 'ack', cursor: cursor ? cursor.acked_seq : 0, timestamp: Date.now() }));
+}
+
+async function handleExecutionReport(id, ws, data) {
+  const receiver = connections.receivers.get(id);
+  if (!receiver) {
+    return;
+  }
+  
+  const result = await recordExecutionReport(receiver.licenseKey, id, data);
+  ws.send(JSON.stringify({
+    type: 'execution-report',
+    seq: data.seq,
+    success: result.success,
+    message: result.message,
+    timestamp: Date.now()
+  }));
+}
+
+// Shared by the WebSocket and HTTP paths; returns { success, httpStatus, message }
+async function recordExecutionReport(licenseKey, connectionId, report) {
+  const seq = parseInt(report.seq);
+  const status = typeof report.status === 'string' ? report.status.toLowerCase() : '';
+  
+  if (!Number.isInteger(seq) || !EXECUTION_STATUSES.includes(status)) {
+    return { success: false, httpStatus: 400, message: 'Signal seq and status (filled, partial or rejected) required' };
+  }
+  
+  const signal = await db.getSignal(seq);
+  if (!signal) {
+    return { success: false, httpStatus: 404, message: 'Unknown signal' };
+  }
+  
+  // Only signals this receiver was actually sent can be reported: a copy was
+  // built for the license and its cursor has delivered it
+  const cursor = await db.getReceiverCursor(licenseKey);
+  const copy = await db.getTradeCopy(seq, licenseKey);
+  if (!cursor || seq > cursor.delivered_seq || !copy) {
+    return { success: false, httpStatus: 409, message: 'Signal was not delivered to this receiver' };
+  }
+  
+  const toNumber = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+  
+  await db.saveExecutionReport(seq, licenseKey, connectionId, {
+    status,
+    ticket: report.ticket !== undefined && report.ticket !== null ? String(report.ticket) : null,
+    fillPrice: toNumber(report.fillPrice),
+    filledVolume: toNumber(report.volume),
+    slippage: toNumber(report.slippage),
+    errorCode: toNumber(report.errorCode),
+    errorMessage: report.errorMessage || null,
+    profit: Number.isFinite(toNumber(report.profit)) ? toNumber(report.profit) : null
+  });
+  
+  if (status !== 'rejected') {
+    await db.markTradeExecuted(seq, licenseKey);
+    await trackReceiverPosition(licenseKey, signal, report);
+  }
+  
+  await db.log(status === 'rejected' ? 'warn' : 'info', 'Execution report received', {
+    seq,
+    licenseKey,
+    status,
+    symbol: signal.symbol,
+    errorCode: report.errorCode
   });
+  emitAdminEvent('signals', 'execution', { seq, licenseKey, status, symbol: signal.symbol, errorCode: report.errorCode });
+  
+  return { success: true };
+}
+
+// Maintain the master ticket -> receiver ticket mapping from successful reports
+async function trackReceiverPosition(licenseKey, signal, report) {
+  if (!signal.masterTicket) {
+    return;
+  }
+  // Signals queued before positions were keyed by master have no masterId
+  const masterId = signal.masterId || '';
   
-  console.log(`✅ Signal sent to ${sent} receivers`);
-  await db.log('info', 'Trade signal broadcasted', { symbol: trade.symbol || 'UNKNOWN', receivers: sent });
+  switch (signal.signalType) {
+    case 'OPEN':
+      if (report.ticket !== undefined && report.ticket !== null && report.ticket !== '') {
+        const copy = await db.getTradeCopy(signal.seq, licenseKey);
+        const volume = Number(report.volume) || (copy ? copy.volume : null);
+        await db.savePositionMapping(masterId, signal.masterTicket, licenseKey, String(report.ticket), volume);
+      }
+      break;
+      
+    case 'PARTIAL_CLOSE': {
+      const mapping = await db.getPositionMapping(masterId, signal.masterTicket, licenseKey);
+      const closed = Number(report.volume);
+      const remaining = mapping && mapping.volume && closed > 0
+        ? Math.round((mapping.volume - closed) * 1e8) / 1e8
+        : null;
+      await db.updatePositionMapping(masterId, signal.masterTicket, licenseKey, 'open', remaining);
+      break;
+    }
+      
+    case 'CLOSE':
+      await db.updatePositionMapping(masterId, signal.masterTicket, licenseKey, 'closed');
+      break;
+  }
 }
 
 function broadcastToReceivers(data) {
@@ -616,6 +3213,7 @@ function broadcastToMasters(data) {
 
 async function handlePing(connectionId, data) {
   await db.updateConnectionPing(connectionId);
+  await updateReceiverBalance(connectionId, data.accountBalance);
   
   // Update last ping in connections
   if (connections.masters.has(connectionId)) {
@@ -629,14 +3227,63 @@ async function handlePing(connectionId, data) {
   }
 }
 
-// Periodic cleanup (remove old connections, old logs)
+// Ping every WebSocket client; those that did not answer the previous ping are
+// terminated. Then expire connections (WebSocket, SSE or HTTP) without a ping
+// or heartbeat for connectionTimeout. Sockets are closed so their close
+// handlers unregister them; HTTP connections are marked disconnected here.
+async function reapConnections() {
+  wss.clients.forEach((ws) => {
+    if (ws.isAlive === false) {
+      ws.terminate();
+      return;
+    }
+    ws.isAlive = false;
+    ws.ping();
+  });
+  
+  const cutoff = Math.floor((Date.now() - config.connectionTimeout) / 1000);
+  const stale = await db.getStaleConnections(cutoff);
+  const expired = [];
+  
+  for (const connection of stale) {
+    const id = connection.connection_id;
+    const client = connections.masters.get(id) || connections.receivers.get(id);
+    if (client) {
+      client.ws.close(1001, 'Connection timed out');
+      continue;
+    }
+    
+    await db.removeConnection(id);
+    emitAdminEvent('connections', `${connection.type}-disconnected`, {
+      connectionId: id, licenseKey: connection.license_key, reason: 'timeout'
+    });
+    expired.push(id);
+  }
+  
+  if (expired.length > 0) {
+    await db.log('info', 'Stale connections expired', { connections: expired });
+    console.log(`🧹 Expired ${expired.length} stale connections`);
+  }
+}
+
+const reaper = setInterval(() => {
+  reapConnections().catch(err => console.error('Connection reaper error:', err));
+}, config.pingInterval);
+
+wss.on('close', () => clearInterval(reaper));
+
+// Periodic cleanup (old sessions, signals and logs)
 setInterval(async () => {
   try {
-    const cutoff = Math.floor(Date.now() / 1000) - 300; // 5 minutes
-    await db.run('DELETE FROM connections WHERE last_ping < ? AND status = ?', [cutoff, 'active']);
+    // Drop expired admin sessions and replay-protection nonces
+    await db.deleteExpiredSessions();
+    await db.deleteExpiredNonces();
+    
+    // Drop queued signals past the retention window
+    await db.deleteSignalsBefore(Math.floor(Date.now() / 1000) - SIGNAL_RETENTION);
     
-    // Keep only last 10,000 logs
-    await db.run('DELETE FROM logs WHERE id NOT IN (SELECT id FROM logs ORDER BY timestamp DESC LIMIT 10000)');
+    // Keep only the newest logMaxEntries logs
+    await db.trimLogs(config.logMaxEntries);
   } catch (err) {
     console.error('Cleanup error:', err);
   }
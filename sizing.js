@@ -0,0 +1,135 @@
+// Lot sizing strategies applied to each receiver's copy of a signal
+
+// Numeric riskMode values sent by the receiver EA
+const RISK_MODES = {
+  1: 'multiplier',
+  2: 'fixed',
+  3: 'balance',
+  4: 'risk_percent'
+};
+
+class LotSizing {
+  // Accepts either the numeric riskMode or the strategy name; null if unknown
+  static normalizeMode(riskMode) {
+    if (riskMode === undefined || riskMode === null || riskMode === '') {
+      return 'multiplier';
+    }
+
+    const byNumber = RISK_MODES[parseInt(riskMode)];
+    if (byNumber) {
+      return byNumber;
+    }
+
+    const name = String(riskMode).toLowerCase();
+    return Object.values(RISK_MODES).includes(name) ? name : null;
+  }
+
+  // Size an OPEN signal for one receiver. Strategies missing their inputs (no
+  // balances, no SL or price) fall back to the multiplier so a copy is still sent.
+  // volume is null when the result is below the receiver's minimum lot.
+  static calculate(signal, settings = {}) {
+    const mode = settings.risk_mode || 'multiplier';
+    const multiplier = settings.multiplier > 0 ? settings.multiplier : 1;
+    let volume = null;
+
+    switch (mode) {
+      case 'fixed':
+        if (settings.fixed_lot > 0) {
+          volume = settings.fixed_lot;
+        }
+        break;
+
+      case 'balance':
+        if (settings.account_balance > 0 && signal.masterBalance > 0) {
+          volume = signal.volume * (settings.account_balance / signal.masterBalance) * multiplier;
+        }
+        break;
+
+      case 'risk_percent':
+        volume = LotSizing.riskPercentVolume(signal, settings);
+        break;
+    }
+
+    const fallback = volume === null;
+    if (fallback) {
+      volume = signal.volume * multiplier;
+    }
+
+    return {
+      mode,
+      fallback,
+      volume: LotSizing.normalizeVolume(volume, settings)
+    };
+  }
+
+  // Volume that loses riskPercent of the receiver balance (in its account
+  // currency) if the SL is hit
+  static riskPercentVolume(signal, settings) {
+    if (!(settings.account_balance > 0) || !(settings.risk_percent > 0)) {
+      return null;
+    }
+
+    const distance = Math.abs((signal.price || 0) - (signal.sl || 0));
+    if (!signal.price || !signal.sl || distance === 0) {
+      return null;
+    }
+
+    const lossPerLot = LotSizing.lossPerLot(signal, settings, distance);
+    if (!(lossPerLot > 0)) {
+      return null;
+    }
+
+    const riskAmount = settings.account_balance * (settings.risk_percent / 100);
+    return riskAmount / lossPerLot;
+  }
+
+  // Loss of one lot in the receiver's account currency when the price moves by
+  // distance. The receiver's tick value is already in its account currency. A
+  // contract size gives the loss in the symbol's quote currency, so it is only
+  // used when that is the account currency. Specs are looked up by the
+  // receiver's symbol name, then the master's. Null when neither applies.
+  static lossPerLot(signal, settings, distance) {
+    const symbols = [signal.symbol, signal.masterSymbol].filter(Boolean);
+    const lookup = (json) => {
+      const specs = json ? JSON.parse(json) : {};
+      const symbol = symbols.find(name => specs[name]);
+      return symbol ? specs[symbol] : null;
+    };
+
+    const tick = lookup(settings.tick_values);
+    if (tick && tick.tickSize > 0 && tick.tickValue > 0) {
+      return (distance / tick.tickSize) * tick.tickValue;
+    }
+
+    const contractSize = Number(lookup(settings.contract_sizes));
+    const quote = LotSizing.quoteCurrency(signal.masterSymbol || signal.symbol);
+    if (contractSize > 0 && quote && quote === String(settings.account_currency || '').toUpperCase()) {
+      return distance * contractSize;
+    }
+
+    return null;
+  }
+
+  // Quote currency of a six-letter forex symbol (USD for EURUSD), else null
+  static quoteCurrency(symbol) {
+    const match = /^[A-Z]{3}([A-Z]{3})$/.exec(String(symbol || '').toUpperCase());
+    return match ? match[1] : null;
+  }
+
+  // Round down to the lot step and cap at the receiver's maximum lot. Null
+  // when the result is below the minimum lot: the broker would reject it, and
+  // raising it would trade more than the receiver's sizing allows.
+  static normalizeVolume(volume, settings = {}) {
+    const step = settings.lot_step > 0 ? settings.lot_step : 0.01;
+    const min = settings.min_lot > 0 ? settings.min_lot : step;
+    const max = settings.max_lot > 0 ? settings.max_lot : 100;
+
+    const stepped = Math.round(Math.floor(volume / step + 1e-9) * step * 1e8) / 1e8;
+    if (stepped < min - 1e-9) {
+      return null;
+    }
+    return Math.min(stepped, max);
+  }
+}
+
+export default LotSizing;
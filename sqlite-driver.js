@@ -0,0 +1,150 @@
+import sqlite3 from 'sqlite3';
+import { AsyncLocalStorage } from 'async_hooks';
+
+// SQLite storage driver (the default), a single database file and connection.
+// Queries use `?` placeholders as they are.
+
+class SqliteDriver {
+  constructor(path = './silverpro.db') {
+    this.path = path;
+    this.db = null;
+    this.dialect = 'sqlite';
+    // The transaction the current async call chain runs in, see transaction()
+    this.context = new AsyncLocalStorage();
+    this.current = null;
+    this.queue = Promise.resolve();
+  }
+
+  async connect() {
+    return new Promise((resolve, reject) => {
+      this.db = new sqlite3.Database(this.path, (err) => {
+        if (err) {
+          console.error('❌ Database connection error:', err);
+          reject(err);
+        } else {
+          console.log('✅ Database connected');
+          resolve();
+        }
+      });
+    });
+  }
+
+  async columns(table) {
+    const rows = await this.all(`PRAGMA table_info(${table})`);
+    return rows.map(row => row.name);
+  }
+
+  greatest(a, b) {
+    return `MAX(${a}, ${b})`;
+  }
+
+  least(a, b) {
+    return `MIN(${a}, ${b})`;
+  }
+
+  // Transactions already take turns, so rows need no lock
+  forUpdate() {
+    return '';
+  }
+
+  // Run fn in a transaction. With a single connection, transactions take
+  // turns, and queries from outside the running one wait for it to finish
+  // rather than being committed or rolled back with it. Calls made inside a
+  // transaction join it.
+  async transaction(fn) {
+    if (this.context.getStore()) {
+      return fn();
+    }
+
+    let finish;
+    const transaction = new Promise(resolve => { finish = resolve; });
+    const previous = this.queue;
+    this.queue = previous.then(() => transaction);
+    await previous;
+
+    this.current = transaction;
+    try {
+      return await this.context.run(transaction, async () => {
+        await this.run('BEGIN TRANSACTION');
+        try {
+          const result = await fn();
+          await this.run('COMMIT');
+          return result;
+        } catch (err) {
+          await this.run('ROLLBACK');
+          throw err;
+        }
+      });
+    } finally {
+      this.current = null;
+      finish();
+    }
+  }
+
+  // Whether a transaction this call is not part of is running. Queries check
+  // this right before they are handed to sqlite3, with no await in between.
+  busy() {
+    return this.current && this.context.getStore() !== this.current;
+  }
+
+  async run(sql, params = []) {
+    while (this.busy()) {
+      await this.current;
+    }
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) {
+          console.error('❌ Database query error:', err);
+          reject(err);
+        } else {
+          resolve({ lastID: this.lastID, changes: this.changes });
+        }
+      });
+    });
+  }
+
+  async get(sql, params = []) {
+    while (this.busy()) {
+      await this.current;
+    }
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, params, (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  }
+
+  async all(sql, params = []) {
+    while (this.busy()) {
+      await this.current;
+    }
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  async close() {
+    return new Promise((resolve, reject) => {
+      this.db.close((err) => {
+        if (err) {
+          reject(err);
+        } else {
+          console.log('Database closed');
+          resolve();
+        }
+      });
+    });
+  }
+}
+
+export default SqliteDriver;
@@ -0,0 +1,65 @@
+import { EventEmitter } from 'events';
+
+// Server-Sent Events stream with the parts of the WebSocket interface that the
+// receiver delivery code uses (send, close, readyState and a 'close' event).
+// Every message is sent as a data line holding the same JSON a WebSocket
+// receiver gets. Emits 'keepalive' each time the idle comment is written.
+
+const OPEN = 1;
+const CLOSED = 3;
+
+class SseChannel extends EventEmitter {
+  constructor(res, keepAliveMs = 25000) {
+    super();
+    this.res = res;
+    this.readyState = OPEN;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      // Stop nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+
+    // Comments keep proxies from closing an idle stream
+    this.keepAlive = setInterval(() => {
+      res.write(': keepalive\n\n');
+      this.emit('keepalive');
+    }, keepAliveMs);
+
+    res.on('close', () => this.closed());
+  }
+
+  // Like WebSocket#send, the optional callback gets an error when the message
+  // could not be written
+  send(message, callback) {
+    if (this.readyState !== OPEN) {
+      if (callback) {
+        callback(new Error('Stream is closed'));
+      }
+      return;
+    }
+    this.res.write(`data: ${message}\n\n`, callback);
+  }
+
+  close(code, reason) {
+    if (this.readyState === OPEN) {
+      this.res.write(`event: close\ndata: ${JSON.stringify({ code, reason })}\n\n`);
+      this.res.end();
+    }
+    this.closed();
+  }
+
+  closed() {
+    if (this.readyState === CLOSED) {
+      return;
+    }
+    this.readyState = CLOSED;
+    clearInterval(this.keepAlive);
+    this.emit('close');
+  }
+}
+
+export default SseChannel;
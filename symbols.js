@@ -0,0 +1,36 @@
+// Symbol mapping from the master's symbol names to a receiver broker's names
+
+const RULE_TYPES = ['alias', 'prefix', 'suffix'];
+
+class SymbolMapper {
+  static get ruleTypes() {
+    return RULE_TYPES;
+  }
+
+  // Resolve a master symbol against symbol_mappings rows for one receiver.
+  // An explicit alias wins outright (license before broker); otherwise the
+  // prefix and suffix rules are applied, license rules overriding broker rules.
+  static resolve(symbol, rules = []) {
+    if (!symbol || rules.length === 0) {
+      return symbol;
+    }
+
+    const pick = (type, source = '') => {
+      const matches = rules.filter(rule =>
+        rule.rule_type === type && rule.source_symbol.toUpperCase() === source.toUpperCase()
+      );
+      return matches.find(rule => rule.scope === 'license') || matches.find(rule => rule.scope === 'broker');
+    };
+
+    const alias = pick('alias', symbol);
+    if (alias) {
+      return alias.target;
+    }
+
+    const prefix = pick('prefix');
+    const suffix = pick('suffix');
+    return `${prefix ? prefix.target : ''}${symbol}${suffix ? suffix.target : ''}`;
+  }
+}
+
+export default SymbolMapper;
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Analytics from '../analytics.js';
+
+// Performance statistics from signals and execution reports, and the periods
+// they are computed over
+
+const DAY = 24 * 60 * 60;
+const start = Date.UTC(2026, 0, 5) / 1000;
+const closes = (...profits) => profits.map((profit, i) => ({ time: start + i * 60, profit }));
+
+test('an empty period has counts of zero and no rates', () => {
+  const { summary, daily } = Analytics.compute([], []);
+  assert.equal(summary.signals, 0);
+  assert.equal(summary.closedTrades, 0);
+  assert.equal(summary.realizedPnl, 0);
+  assert.equal(summary.maxDrawdown, 0);
+  assert.equal(summary.successRate, null);
+  assert.equal(summary.winRate, null);
+  assert.equal(summary.avgSlippage, null);
+  assert.deepEqual(daily, []);
+});
+
+test('all losses draw down from the starting balance', () => {
+  const { summary } = Analytics.compute(closes(-10, -5.5), []);
+  assert.equal(summary.realizedPnl, -15.5);
+  assert.equal(summary.winRate, 0);
+  assert.equal(summary.maxDrawdown, 15.5);
+});
+
+test('drawdown is measured from the highest peak reached so far', () => {
+  // Peaks at 10 then 26; the deepest fall is 26 -> 15
+  const { summary } = Analytics.compute(closes(10, -4, 20, -8, -3, 5), []);
+  assert.equal(summary.realizedPnl, 20);
+  assert.equal(summary.maxDrawdown, 11);
+  assert.equal(summary.winRate, 0.5);
+});
+
+test('signals without a profit count but do not affect P&L', () => {
+  const signals = [{ time: start, profit: null }, ...closes(3)];
+  const { summary } = Analytics.compute(signals, []);
+  assert.equal(summary.signals, 2);
+  assert.equal(summary.closedTrades, 1);
+  assert.equal(summary.winRate, 1);
+});
+
+test('execution reports give success rate, slippage and delay', () => {
+  const reports = [
+    { time: start, status: 'filled', slippage: 2, delay: 1 },
+    { time: start, status: 'partial', slippage: 1, delay: 3 },
+    { time: start, status: 'rejected', slippage: null, delay: 2 }
+  ];
+  const { summary } = Analytics.compute([], reports);
+  assert.equal(summary.executed, 2);
+  assert.equal(summary.rejected, 1);
+  assert.equal(summary.successRate, 0.6667);
+  assert.equal(summary.avgSlippage, 1.5);
+  assert.equal(summary.avgDelaySeconds, 2);
+});
+
+test('daily totals are grouped by UTC day, oldest first', () => {
+  const signals = [{ time: start + DAY, profit: 4.25 }, { time: start, profit: -1 }, { time: start + 10, profit: 2 }];
+  const reports = [{ time: start + DAY, status: 'rejected' }, { time: start, status: 'filled' }];
+  assert.deepEqual(Analytics.daily(signals, reports), [
+    { date: '2026-01-05', signals: 2, executed: 1, rejected: 0, realizedPnl: 1 },
+    { date: '2026-01-06', signals: 1, executed: 0, rejected: 1, realizedPnl: 4.25 }
+  ]);
+});
+
+test('periods are given in days or as a from/to range', () => {
+  const now = start + 12345;
+  assert.deepEqual(Analytics.parsePeriod({}, now), { from: now - 30 * DAY, to: now });
+  assert.deepEqual(Analytics.parsePeriod({ period: '7d' }, now), { from: now - 7 * DAY, to: now });
+  assert.ok(Analytics.parsePeriod({ period: '0d' }, now).error);
+  assert.ok(Analytics.parsePeriod({ period: '366d' }, now).error);
+  assert.ok(Analytics.parsePeriod({ period: 'week' }, now).error);
+
+  assert.deepEqual(Analytics.parsePeriod({ from: '2026-01-01', to: String(start) }, now), { from: Date.UTC(2026, 0, 1) / 1000, to: start });
+  assert.deepEqual(Analytics.parsePeriod({ from: String(start) }, now), { from: start, to: now });
+  assert.ok(Analytics.parsePeriod({ from: String(start), to: String(start) }, now).error);
+  assert.ok(Analytics.parsePeriod({ from: 'yesterday' }, now).error);
+});
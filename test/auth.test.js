@@ -0,0 +1,171 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Database from '../database.js';
+import SqliteDriver from '../sqlite-driver.js';
+import Auth from '../auth.js';
+
+// Admin credentials, role permissions, signed master requests and offline
+// license tokens
+
+const db = new Database(new SqliteDriver(':memory:'));
+const auth = new Auth('test-secret', db);
+
+const now = () => Math.floor(Date.now() / 1000);
+
+before(async () => {
+  await db.connect();
+  await db.init();
+});
+
+after(() => db.close());
+
+test('owners and admins have every permission', () => {
+  for (const role of ['owner', 'admin']) {
+    assert.ok(Auth.hasPermission(role, 'licenses:write'));
+    assert.ok(Auth.hasPermission(role, 'admins:manage'));
+  }
+});
+
+test('support and read-only roles only get their listed permissions', () => {
+  assert.ok(Auth.hasPermission('support', 'devices:manage'));
+  assert.ok(!Auth.hasPermission('support', 'licenses:write'));
+  assert.ok(!Auth.hasPermission('support', 'apikeys:manage'));
+
+  assert.ok(Auth.hasPermission('read-only', 'licenses:read'));
+  for (const permission of ['licenses:write', 'devices:manage', 'receivers:manage']) {
+    assert.ok(!Auth.hasPermission('read-only', permission), permission);
+  }
+
+  assert.ok(!Auth.hasPermission('unknown', 'licenses:read'));
+  assert.ok(!Auth.hasPermission(undefined, 'licenses:read'));
+});
+
+test('authorize rejects roles without the permission', () => {
+  const middleware = auth.authorize('licenses:write');
+  const response = () => ({ statusCode: 200, status(code) { this.statusCode = code; return this; }, json() { return this; } });
+
+  const denied = response();
+  middleware({ auth: { role: 'read-only' } }, denied, () => assert.fail('read-only passed'));
+  assert.equal(denied.statusCode, 403);
+
+  let passed = false;
+  middleware({ auth: { role: 'owner' } }, response(), () => { passed = true; });
+  assert.ok(passed);
+});
+
+test('passwords verify only against their own hash', async () => {
+  const hash = await Auth.hashPassword('correct horse');
+  assert.match(hash, /^scrypt\$/);
+  assert.ok(await Auth.verifyPassword('correct horse', hash));
+  assert.ok(!(await Auth.verifyPassword('wrong horse', hash)));
+  assert.ok(!(await Auth.verifyPassword('correct horse', 'not-a-hash')));
+});
+
+test('an API secret is required', () => {
+  assert.throws(() => new Auth(undefined, db), /API secret/);
+  assert.throws(() => new Auth('', db), /API secret/);
+});
+
+test('the API secret resolves to the admin role unless disabled', async () => {
+  assert.deepEqual(await auth.resolveToken('test-secret'), { type: 'api_secret', role: 'admin' });
+  assert.equal(await new Auth('test-secret', db, { allowSecret: false }).resolveToken('test-secret'), null);
+});
+
+test('sessions are stored hashed and end at expiry or logout', async () => {
+  const user = await db.createAdminUser('auth-user', 'auth@example.com', 'hash', null, 'support');
+  const token = Auth.generateSessionToken();
+  await db.createSession(user.lastID, Auth.hashToken(token), '127.0.0.1', null, now() + 60);
+
+  assert.equal(await db.getSession(token), undefined);
+  const session = await auth.resolveToken(token);
+  assert.equal(session.type, 'session');
+  assert.equal(session.username, 'auth-user');
+  assert.equal(session.role, 'support');
+
+  await db.deleteSession(Auth.hashToken(token));
+  assert.equal(await auth.resolveToken(token), null);
+
+  const expired = Auth.generateSessionToken();
+  await db.createSession(user.lastID, Auth.hashToken(expired), '127.0.0.1', null, now() - 1);
+  assert.equal(await auth.resolveToken(expired), null);
+});
+
+test('JWTs must carry a valid signature and not be expired', async () => {
+  const token = auth.generateToken({ role: 'read-only' });
+  assert.equal((await auth.resolveToken(token)).role, 'read-only');
+
+  const [header, , signature] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ role: 'owner', exp: now() + 60 })).toString('base64url');
+  assert.equal(await auth.resolveToken(`${header}.${forged}.${signature}`), null);
+  assert.equal(await auth.resolveToken(auth.generateToken({ role: 'owner' }, -1)), null);
+  assert.equal(await auth.resolveToken(new Auth('other-secret', db).generateToken({ role: 'owner' })), null);
+});
+
+test('signed master requests need a valid signature, a recent timestamp and a new nonce', async () => {
+  const secret = Auth.generateSigningSecret();
+  const { lastID: keyId } = await db.createMasterApiKey('hash-signed', 'sp_signe', 'signed', null, 'test', secret, true);
+  const body = '{"symbol":"EURUSD"}';
+  const request = (timestamp, nonce, signature) => ({
+    keyId: String(keyId),
+    timestamp: String(timestamp),
+    nonce,
+    signature: signature || Auth.signRequest(secret, String(timestamp), nonce, 'POST', '/api/send-trade', body),
+    method: 'POST',
+    path: '/api/send-trade',
+    body
+  });
+
+  assert.equal((await auth.verifySignedRequest(request(now(), 'nonce-1'))).key.id, keyId);
+  assert.equal((await auth.verifySignedRequest(request(now(), 'nonce-1'))).error, 'Replayed request');
+
+  const wrongSecret = Auth.signRequest('other', String(now()), 'nonce-2', 'POST', '/api/send-trade', body);
+  assert.equal((await auth.verifySignedRequest(request(now(), 'nonce-2', wrongSecret))).error, 'Invalid request signature');
+  assert.equal(
+    (await auth.verifySignedRequest({ ...request(now(), 'nonce-3'), body: '{"symbol":"GBPUSD"}' })).error,
+    'Invalid request signature'
+  );
+
+  assert.equal((await auth.verifySignedRequest(request(now() - 600, 'nonce-4'))).error, 'Request timestamp outside allowed window');
+  assert.equal((await auth.verifySignedRequest({ ...request(now(), 'nonce-5'), nonce: undefined })).error, 'Incomplete request signature');
+
+  await db.revokeMasterApiKey(keyId);
+  assert.equal((await auth.verifySignedRequest(request(now(), 'nonce-6'))).error, 'Invalid or revoked API key');
+});
+
+test('the license signing key is created once, readable only by its owner', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sp-key-'));
+  const file = path.join(dir, 'license-signing-key.pem');
+  try {
+    const created = Auth.loadLicenseSigningKey({ file });
+    assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+
+    const loaded = Auth.loadLicenseSigningKey({ file });
+    assert.equal(Auth.describePublicKey(loaded).kid, Auth.describePublicKey(created).kid);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('license tokens verify only unmodified, unexpired and with the signing key', () => {
+  const { privateKey } = crypto.generateKeyPairSync('ed25519');
+  const signer = new Auth('test-secret', null, { licenseSigningKey: privateKey });
+  const token = signer.generateLicenseToken({ typ: 'license', sub: 'SP-TOKEN', exp: now() + 60 });
+
+  assert.equal(signer.verifyLicenseToken(token).sub, 'SP-TOKEN');
+
+  const [header, , signature] = token.split('.');
+  const tampered = Buffer.from(JSON.stringify({ typ: 'license', sub: 'SP-OTHER', exp: now() + 60 })).toString('base64url');
+  assert.equal(signer.verifyLicenseToken(`${header}.${tampered}.${signature}`), null);
+
+  assert.equal(signer.verifyLicenseToken(signer.generateLicenseToken({ typ: 'license', sub: 'SP-TOKEN', exp: now() - 1 })), null);
+  assert.equal(signer.verifyLicenseToken(signer.generateLicenseToken({ typ: 'session', sub: 'SP-TOKEN', exp: now() + 60 })), null);
+
+  const other = new Auth('test-secret', null, { licenseSigningKey: crypto.generateKeyPairSync('ed25519').privateKey });
+  assert.equal(other.verifyLicenseToken(token), null);
+  assert.equal(signer.verifyLicenseToken(auth.generateToken({ typ: 'license', sub: 'SP-TOKEN' })), null);
+  assert.equal(signer.verifyLicenseToken('not.a.token'), null);
+});
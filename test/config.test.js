@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig, ConfigError } from '../config.js';
+
+// Settings from the environment and CONFIG_FILE, converted to their types and
+// checked together
+
+const errorsOf = (env) => {
+  try {
+    loadConfig(env);
+  } catch (err) {
+    assert.ok(err instanceof ConfigError);
+    return err.errors;
+  }
+  assert.fail('configuration was accepted');
+};
+
+test('unset and empty values fall back to the defaults', () => {
+  const config = loadConfig({ PORT: '' });
+  assert.equal(config.port, 8080);
+  assert.equal(config.nodeEnv, 'development');
+  assert.equal(config.allowSecretAuth, true);
+  assert.equal(config.dbUser, undefined);
+  assert.ok(Object.isFrozen(config));
+});
+
+test('values are converted to their types', () => {
+  const config = loadConfig({
+    PORT: ' 3000 ',
+    ALLOW_SECRET_AUTH: 'No',
+    AUTO_MIGRATE: '1',
+    DB_TYPE: 'postgres',
+    TRUST_PROXY: '2',
+    API_SECRET: 'my-secret'
+  });
+  assert.equal(config.port, 3000);
+  assert.equal(config.allowSecretAuth, false);
+  assert.equal(config.autoMigrate, true);
+  assert.equal(config.dbType, 'postgres');
+  assert.equal(config.trustProxy, 2);
+  assert.equal(config.apiSecret, 'my-secret');
+
+  assert.equal(loadConfig({ TRUST_PROXY: 'loopback, 10.0.0.0/8' }).trustProxy, 'loopback, 10.0.0.0/8');
+  assert.equal(loadConfig({ TRUST_PROXY: 'TRUE' }).trustProxy, true);
+});
+
+test('every invalid value is reported at once', () => {
+  const errors = errorsOf({
+    PORT: '80a',
+    DB_PORT: '70000',
+    RATE_LIMIT_WINDOW: '10',
+    ALLOW_SECRET_AUTH: 'maybe',
+    DB_TYPE: 'mysql',
+    TRUST_PROXY: 'not-an-address'
+  });
+  assert.equal(errors.length, 6);
+  assert.ok(errors.includes('PORT must be an integer'));
+  assert.ok(errors.includes('DB_PORT must be at most 65535'));
+  assert.ok(errors.includes('RATE_LIMIT_WINDOW must be at least 1000'));
+  assert.ok(errors.includes('ALLOW_SECRET_AUTH must be true or false'));
+  assert.ok(errors.includes('DB_TYPE must be one of sqlite, postgres'));
+  assert.ok(errors.some(error => error.startsWith('TRUST_PROXY ')));
+});
+
+test('production refuses a missing or default API secret', () => {
+  for (const secret of [undefined, 'change-this-secret-key', 'change-this-secret-key-in-production', 'change-this-secret']) {
+    assert.deepEqual(errorsOf({ NODE_ENV: 'production', API_SECRET: secret }), ['API_SECRET must be set to your own secret in production']);
+  }
+  assert.equal(loadConfig({ NODE_ENV: 'production', API_SECRET: 'my-secret' }).apiSecret, 'my-secret');
+  assert.equal(loadConfig({ NODE_ENV: 'development' }).apiSecret, 'change-this-secret-key');
+});
+
+test('the ping interval must be shorter than the connection timeout', () => {
+  const message = 'PING_INTERVAL must be shorter than CONNECTION_TIMEOUT';
+  assert.deepEqual(errorsOf({ PING_INTERVAL: '60000', CONNECTION_TIMEOUT: '60000' }), [message]);
+  assert.deepEqual(errorsOf({ PING_INTERVAL: '90000', CONNECTION_TIMEOUT: '60000' }), [message]);
+  assert.equal(loadConfig({ PING_INTERVAL: '59999', CONNECTION_TIMEOUT: '60000' }).pingInterval, 59999);
+});
+
+test('CONFIG_FILE values apply under the environment', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sp-config-'));
+  const file = path.join(dir, 'config.json');
+  try {
+    fs.writeFileSync(file, JSON.stringify({ port: 9000, dbType: 'postgres', allowSecretAuth: false }));
+    const config = loadConfig({ CONFIG_FILE: file, PORT: '9100' });
+    assert.equal(config.port, 9100);
+    assert.equal(config.dbType, 'postgres');
+    assert.equal(config.allowSecretAuth, false);
+
+    fs.writeFileSync(file, JSON.stringify({ port: 'high', colour: 'blue' }));
+    assert.deepEqual(errorsOf({ CONFIG_FILE: file }), [`${file}: unknown setting "colour"`, `${file}: port must be an integer`]);
+
+    assert.deepEqual(errorsOf({ CONFIG_FILE: path.join(dir, 'missing.json') }), [`${path.join(dir, 'missing.json')}: file not found`]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
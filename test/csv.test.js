@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Csv from '../csv.js';
+
+// CSV reading for license imports and writing for trade exports
+
+test('fields are split on commas and rows on any line ending', () => {
+  const rows = Csv.parse('a,b,c\r\n1,2,3\n4,5,6\r7,8,9');
+  assert.deepEqual(rows.map(row => [...row]), [['a', 'b', 'c'], ['1', '2', '3'], ['4', '5', '6'], ['7', '8', '9']]);
+});
+
+test('quoted fields keep commas, newlines and doubled quotes', () => {
+  const [row] = Csv.parse('"a,b","line 1\nline 2","say ""hi"""');
+  assert.deepEqual([...row], ['a,b', 'line 1\nline 2', 'say "hi"']);
+});
+
+test('rows remember the line they started on and blank lines are skipped', () => {
+  const rows = Csv.parse('first\n\n"multi\nline",x\nlast\n');
+  assert.deepEqual(rows.map(row => row.line), [1, 3, 5]);
+});
+
+test('objects are keyed by the trimmed, lower-cased header', () => {
+  const records = Csv.parseObjects(' License_Key ,USER_EMAIL,max_devices\nSP-1, a@example.com ,2\nSP-2\n');
+  assert.deepEqual(records, [
+    { line: 2, license_key: 'SP-1', user_email: 'a@example.com', max_devices: '2' },
+    { line: 3, license_key: 'SP-2', user_email: '', max_devices: '' }
+  ]);
+  assert.deepEqual(Csv.parseObjects(''), []);
+});
+
+test('written values are quoted only when needed', () => {
+  const text = Csv.stringify(
+    [{ id: 1, symbol: 'EURUSD', note: 'a, "b"' }, { id: 2, symbol: null, note: 'two\nlines' }],
+    ['id', 'symbol', 'note']
+  );
+  assert.equal(text, 'id,symbol,note\r\n1,EURUSD,"a, ""b"""\r\n2,,"two\nlines"\r\n');
+});
+
+test('written CSV reads back to the same values', () => {
+  const rows = [{ a: 'x,y', b: 'he said "no"' }, { a: '', b: 'multi\r\nline' }];
+  const records = Csv.parseObjects(Csv.stringify(rows, ['a', 'b']));
+  assert.deepEqual(records.map(({ a, b }) => ({ a, b })), rows);
+});
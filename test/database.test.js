@@ -0,0 +1,174 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from '../database.js';
+import SqliteDriver from '../sqlite-driver.js';
+import PostgresDriver from '../postgres-driver.js';
+import Migrator from '../migrations.js';
+import { down as initialSchemaDown } from '../migrations/001_initial_schema.js';
+
+// The storage layer against each driver. SQLite runs in memory; Postgres runs
+// when PGHOST and PGDATABASE name a scratch database (its tables are dropped).
+
+const drivers = [
+  { name: 'sqlite', create: () => new SqliteDriver(':memory:') },
+  {
+    name: 'postgres',
+    skip: !(process.env.PGHOST && process.env.PGDATABASE) && 'PGHOST and PGDATABASE not set',
+    create: () => new PostgresDriver({ poolSize: 4 }),
+    reset: db => db.run('DROP SCHEMA public CASCADE; CREATE SCHEMA public')
+  }
+];
+
+for (const { name, skip, create, reset } of drivers) {
+  describe(name, { skip }, () => {
+    const db = new Database(create());
+
+    before(async () => {
+      await db.connect();
+      if (reset) {
+        await reset(db);
+      }
+      await db.init();
+    });
+
+    after(() => db.close());
+
+    test('migrations are recorded and rerunning them does nothing', async () => {
+      const status = await new Migrator(db).status();
+      assert.ok(status.length > 0);
+      assert.ok(status.every(migration => migration.appliedAt !== null));
+      assert.deepEqual(await db.init(), []);
+    });
+
+    test('the initial schema cannot be rolled back', async () => {
+      await assert.rejects(db.transaction(() => initialSchemaDown(db)), /cannot be rolled back/);
+      assert.ok(await db.get('SELECT COUNT(*) AS count FROM licenses'));
+    });
+
+    test('existing positions are assigned to the master that opened them', async () => {
+      // Back to the schema before 002
+      const migrator = new Migrator(db);
+      const later = (await migrator.status()).filter(migration => migration.version > 1);
+      const rolledBack = await migrator.rollback(later.length);
+      assert.equal(rolledBack.at(-1), '002_master_position_identity');
+
+      const key = await db.createMasterApiKey('hash-legacy', 'sp_legacy', 'legacy', '5001', null);
+      const seq = await db.enqueueSignal('db_legacy_open', `master:${key.lastID}`, { symbol: 'EURUSD', action: 'BUY', volume: 1 });
+      await db.run(
+        "INSERT INTO master_positions (master_ticket, symbol, action, volume, open_seq, status) VALUES ('77', 'EURUSD', 'BUY', 1, ?, 'open')",
+        [seq]
+      );
+      await db.run("INSERT INTO master_positions (master_ticket, symbol, action, volume, status) VALUES ('78', 'EURUSD', 'SELL', 1, 'open')");
+      await db.run("INSERT INTO position_mappings (master_ticket, license_key, receiver_ticket, volume) VALUES ('77', 'DB-LEGACY', '900', 1)");
+
+      assert.deepEqual(await db.init(), rolledBack.reverse());
+      assert.equal((await db.getMasterPosition('account:5001', '77')).open_seq, seq);
+      assert.equal((await db.getMasterPosition('', '78')).action, 'SELL');
+      assert.equal((await db.getPositionMapping('account:5001', '77', 'DB-LEGACY')).receiver_ticket, '900');
+    });
+
+    test('positions of different masters with the same ticket are kept apart', async () => {
+      await db.openMasterPosition('key:1', '100', { symbol: 'EURUSD', action: 'BUY', volume: 1, seq: 1 });
+      await db.openMasterPosition('key:2', '100', { symbol: 'GBPUSD', action: 'SELL', volume: 2, seq: 2 });
+      await db.updateMasterPosition('key:2', '100', { status: 'closed' });
+      await db.savePositionMapping('key:1', '100', 'DB-KEY-1', '501', 0.5);
+      await db.savePositionMapping('key:2', '100', 'DB-KEY-1', '502', 1);
+
+      const first = await db.getMasterPosition('key:1', '100');
+      assert.equal(first.symbol, 'EURUSD');
+      assert.equal(first.status, 'open');
+      assert.equal((await db.getMasterPosition('key:2', '100')).status, 'closed');
+      assert.equal((await db.getMasterPositionsByTicket('100')).length, 2);
+      assert.equal((await db.getPositionMapping('key:1', '100', 'DB-KEY-1')).receiver_ticket, '501');
+      assert.deepEqual((await db.getPositionMappings('key:2', '100')).map(mapping => mapping.receiver_ticket), ['502']);
+    });
+
+    test('inserts report the key of the new row', async () => {
+      const first = await db.createLicense('DB-KEY-1', 'a@example.com', 2000000000);
+      const second = await db.createLicense('DB-KEY-2', 'b@example.com', 2000000000);
+      assert.equal(second.lastID, first.lastID + 1);
+
+      const license = await db.getLicense('DB-KEY-1');
+      assert.equal(license.id, first.lastID);
+      assert.equal(license.expiry_date, 2000000000);
+
+      const seq = await db.enqueueSignal('db_signal_1', 'master', { symbol: 'EURUSD', action: 'BUY', volume: 0.1 });
+      assert.equal(await db.getLatestSignalSeq(), seq);
+    });
+
+    test('a ? inside a string literal is not a placeholder', async () => {
+      const row = await db.get("SELECT 'it''s ?' AS text, ? AS value", ['x']);
+      assert.equal(row.text, "it's ?");
+      assert.equal(row.value, 'x');
+    });
+
+    test('a failed transaction is rolled back', async () => {
+      await assert.rejects(db.transaction(async () => {
+        await db.createLicense('DB-ROLLBACK', 'c@example.com', 2000000000);
+        throw new Error('abort');
+      }), /abort/);
+      assert.equal(await db.getLicense('DB-ROLLBACK'), undefined);
+    });
+
+    test('concurrent transactions and queries do not share a transaction', async () => {
+      let release;
+      const held = new Promise(resolve => { release = resolve; });
+
+      const failing = db.transaction(async () => {
+        await db.createLicense('DB-CONCURRENT-1', 'd@example.com', 2000000000);
+        await held;
+        throw new Error('abort');
+      });
+      const passing = db.transaction(async () => {
+        await db.createLicense('DB-CONCURRENT-2', 'e@example.com', 2000000000);
+      });
+      const outside = db.createLicense('DB-CONCURRENT-3', 'f@example.com', 2000000000);
+
+      release();
+      await assert.rejects(failing, /abort/);
+      await passing;
+      await outside;
+
+      assert.equal(await db.getLicense('DB-CONCURRENT-1'), undefined);
+      assert.ok(await db.getLicense('DB-CONCURRENT-2'));
+      assert.ok(await db.getLicense('DB-CONCURRENT-3'));
+    });
+
+    test('nested transactions join the outer one', async () => {
+      await assert.rejects(db.transaction(async () => {
+        await db.transaction(() => db.createLicense('DB-NESTED', 'g@example.com', 2000000000));
+        throw new Error('abort');
+      }), /abort/);
+      assert.equal(await db.getLicense('DB-NESTED'), undefined);
+    });
+
+    test('concurrent device bindings do not pass the license limit', async () => {
+      await db.createLicense('DB-DEVICES', 'h@example.com', 2000000000);
+      const bindings = await Promise.all(
+        ['fp-1', 'fp-2', 'fp-3'].map(fingerprint => db.bindLicenseDevice('DB-DEVICES', '1001', fingerprint, 2))
+      );
+
+      assert.equal(bindings.filter(Boolean).length, 2);
+      assert.equal((await db.getLicenseDevices('DB-DEVICES', true)).length, 2);
+      assert.equal((await db.getLicense('DB-DEVICES')).activation_count, 2);
+
+      const again = await db.bindLicenseDevice('DB-DEVICES', '1001', bindings.find(Boolean).device.fingerprint, 2);
+      assert.equal(again.bound, false);
+    });
+
+    test('receiver cursors move forward only', async () => {
+      await db.createReceiverCursor('DB-CURSOR', await db.getLatestSignalSeq());
+      const first = await db.enqueueSignal('db_cursor_1', 'master', { symbol: 'EURUSD', action: 'BUY', volume: 0.1 });
+      const second = await db.enqueueSignal('db_cursor_2', 'master', { symbol: 'EURUSD', action: 'SELL', volume: 0.1 });
+
+      await db.markSignalsDelivered('DB-CURSOR', second);
+      await db.markSignalsDelivered('DB-CURSOR', first);
+      await db.ackSignals('DB-CURSOR', second);
+      await db.ackSignals('DB-CURSOR', first);
+
+      const cursor = await db.getReceiverCursor('DB-CURSOR');
+      assert.equal(cursor.delivered_seq, second);
+      assert.equal(cursor.acked_seq, second);
+    });
+  });
+}
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import SignalFilter from '../filters.js';
+
+// Validation of admin filter rules and evaluation of signals against them
+
+const open = (fields = {}) => ({ signalType: 'OPEN', symbol: 'EURUSD', action: 'BUY', volume: 1, ...fields });
+
+// Monday 2026-01-05 at the given UTC time
+const monday = (time) => Date.parse(`2026-01-05T${time}:00Z`);
+
+const filtersFor = (input) => {
+  const result = SignalFilter.validate(input);
+  assert.equal(result.error, undefined);
+  return result.filters;
+};
+
+test('rules are stored uppercased, with defaults for what was left out', () => {
+  const filters = filtersFor({ allowedSymbols: [' eurusd ', 'gbpusd'], allowedActions: ['buy'] });
+  assert.equal(filters.allowed_symbols, '["EURUSD","GBPUSD"]');
+  assert.equal(filters.allowed_actions, '["BUY"]');
+  assert.equal(filters.blocked_symbols, null);
+  assert.equal(filters.max_volume, null);
+  assert.equal(filters.trading_windows, null);
+  assert.equal(filters.utc_offset, 0);
+});
+
+test('invalid rules are rejected', () => {
+  assert.match(SignalFilter.validate({ allowedSymbols: 'EURUSD' }).error, /allowedSymbols must be an array/);
+  assert.match(SignalFilter.validate({ maxVolume: -1 }).error, /maxVolume/);
+  assert.match(SignalFilter.validate({ utcOffset: 1.5 }).error, /utcOffset/);
+  assert.match(SignalFilter.validate({ utcOffset: '60' }).error, /utcOffset/);
+  assert.match(SignalFilter.validate({ tradingWindows: [{ start: '7:00', end: '20:00' }] }).error, /HH:MM/);
+  assert.match(SignalFilter.validate({ tradingWindows: [{ days: [7], start: '07:00', end: '20:00' }] }).error, /days/);
+});
+
+test('a null utcOffset resets it to UTC', () => {
+  assert.equal(filtersFor({ utcOffset: null }).utc_offset, 0);
+  assert.equal(filtersFor({ utcOffset: -300 }).utc_offset, -300);
+});
+
+test('symbols and actions are checked against the lists', () => {
+  const filters = filtersFor({ allowedSymbols: ['EURUSD', 'XAUUSD'], blockedSymbols: ['XAUUSD'], allowedActions: ['BUY'] });
+  assert.equal(SignalFilter.evaluate(open(), filters), null);
+  assert.equal(SignalFilter.evaluate(open({ symbol: 'gbpusd' }), filters), 'Symbol GBPUSD not in allowed list');
+  assert.equal(SignalFilter.evaluate(open({ symbol: 'XAUUSD' }), filters), 'Symbol XAUUSD is blocked');
+  assert.equal(SignalFilter.evaluate(open({ action: 'SELL' }), filters), 'Action SELL not allowed');
+});
+
+test('follow-up signals are never filtered', () => {
+  const filters = filtersFor({ blockedSymbols: ['EURUSD'] });
+  assert.equal(SignalFilter.evaluate(open({ signalType: 'CLOSE' }), filters), null);
+  assert.equal(SignalFilter.evaluate(open(), null), null);
+});
+
+test('trading windows use the receiver local time', () => {
+  const filters = filtersFor({ tradingWindows: [{ days: [1], start: '09:00', end: '17:00' }], utcOffset: 120 });
+  assert.equal(SignalFilter.evaluate(open({ timestamp: monday('07:30') }), filters), null);
+  assert.equal(SignalFilter.evaluate(open({ timestamp: monday('06:30') }), filters), 'Outside trading window');
+  assert.equal(SignalFilter.evaluate(open({ timestamp: monday('15:00') }), filters), 'Outside trading window');
+});
+
+test('overnight windows belong to the day they start on', () => {
+  const windows = [{ days: [1], start: '22:00', end: '02:00' }];
+  assert.equal(SignalFilter.inTradingWindow(monday('23:00'), windows, 0), true);
+  // Tuesday 01:00 is still Monday's window, Monday 01:00 is Sunday's
+  assert.equal(SignalFilter.inTradingWindow(monday('23:00') + 2 * 3600000, windows, 0), true);
+  assert.equal(SignalFilter.inTradingWindow(monday('01:00'), windows, 0), false);
+  assert.equal(SignalFilter.inTradingWindow(monday('03:00'), windows, 0), false);
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Lockouts from '../lockouts.js';
+
+// Escalating lockouts for clients that keep failing license checks
+
+const options = { threshold: 3, windowMs: 1000, durationMs: 100, maxDurationMs: 1000 };
+
+// Fail `count` times at `now`; returns the result of the last failure
+const failTimes = (lockouts, key, count, now) => {
+  let result = null;
+  for (let i = 0; i < count; i++) {
+    result = lockouts.fail(key, now);
+  }
+  return result;
+};
+
+test('reaching the threshold locks the client out until the duration is over', () => {
+  const lockouts = new Lockouts(options);
+  assert.equal(failTimes(lockouts, 'ip', 2, 0), null);
+  assert.equal(lockouts.remaining('ip', 0), 0);
+
+  assert.deepEqual(lockouts.fail('ip', 0), { lockedFor: 100, lockouts: 1 });
+  assert.equal(lockouts.remaining('ip', 0), 100);
+  assert.equal(lockouts.remaining('ip', 60), 40);
+  assert.equal(lockouts.remaining('ip', 100), 0);
+  assert.equal(lockouts.remaining('other', 0), 0);
+});
+
+test('every further lockout doubles, up to the longest duration', () => {
+  const lockouts = new Lockouts(options);
+  const durations = [];
+  let now = 0;
+  for (let i = 0; i < 6; i++) {
+    const { lockedFor } = failTimes(lockouts, 'ip', 3, now);
+    durations.push(lockedFor);
+    now += lockedFor;
+  }
+  assert.deepEqual(durations, [100, 200, 400, 800, 1000, 1000]);
+});
+
+test('failures only count within the window', () => {
+  const lockouts = new Lockouts(options);
+  failTimes(lockouts, 'ip', 2, 0);
+  assert.equal(lockouts.fail('ip', 1001), null);
+  assert.equal(lockouts.fail('ip', 1002), null);
+  assert.deepEqual(lockouts.fail('ip', 1003), { lockedFor: 100, lockouts: 1 });
+});
+
+test('failures during a lockout count towards the next one', () => {
+  const lockouts = new Lockouts(options);
+  failTimes(lockouts, 'ip', 3, 0);
+  failTimes(lockouts, 'ip', 2, 50);
+  assert.deepEqual(lockouts.fail('ip', 150), { lockedFor: 200, lockouts: 2 });
+  assert.equal(lockouts.remaining('ip', 150), 200);
+});
+
+test('the escalation is forgotten after the longest duration without failures', () => {
+  const lockouts = new Lockouts(options);
+  failTimes(lockouts, 'ip', 3, 0);
+  failTimes(lockouts, 'ip', 3, 100);
+  assert.deepEqual(failTimes(lockouts, 'ip', 3, 1101), { lockedFor: 100, lockouts: 1 });
+});
+
+test('sweeping drops clients whose escalation is over', () => {
+  const lockouts = new Lockouts(options);
+  failTimes(lockouts, 'old', 3, 0);
+  lockouts.fail('recent', 1500);
+  lockouts.sweep(2000);
+  assert.deepEqual([...lockouts.clients.keys()], ['recent']);
+});
@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import PostgresDriver from '../postgres-driver.js';
+
+// Numbering of `?` placeholders for Postgres
+
+const placeholders = PostgresDriver.placeholders;
+
+test('placeholders are numbered in order', () => {
+  assert.equal(placeholders('SELECT * FROM t WHERE a = ? AND b IN (?, ?)'), 'SELECT * FROM t WHERE a = $1 AND b IN ($2, $3)');
+});
+
+test('string literals are left alone, including escaped quotes', () => {
+  assert.equal(placeholders("SELECT 'a?' WHERE b = ?"), "SELECT 'a?' WHERE b = $1");
+  assert.equal(placeholders("SELECT 'it''s ?' WHERE b = ?"), "SELECT 'it''s ?' WHERE b = $1");
+  assert.equal(placeholders("SELECT '' WHERE b = ? AND c = '?'"), "SELECT '' WHERE b = $1 AND c = '?'");
+});
+
+test('quoted identifiers and comments are left alone', () => {
+  assert.equal(placeholders('SELECT "a?" FROM t WHERE b = ?'), 'SELECT "a?" FROM t WHERE b = $1');
+  assert.equal(placeholders('SELECT a -- why?\nFROM t WHERE b = ?'), 'SELECT a -- why?\nFROM t WHERE b = $1');
+  assert.equal(placeholders('SELECT a /* ? */ FROM t WHERE b = ?'), 'SELECT a /* ? */ FROM t WHERE b = $1');
+});
+
+test('an unterminated literal runs to the end', () => {
+  assert.equal(placeholders("SELECT ? WHERE a = 'b?"), "SELECT $1 WHERE a = 'b?");
+});
@@ -0,0 +1,4 @@
+// Loaded into every test process (see the test script in package.json). The
+// storage layer logs with console.log; on stdout that output can corrupt the
+// test runner's messages, so it goes to stderr instead.
+console.log = console.error;
@@ -0,0 +1,60 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from '../database.js';
+import SqliteDriver from '../sqlite-driver.js';
+
+// The per-receiver signal queue: new receivers start at the head, acks are
+// cumulative and never pass what was delivered
+
+const db = new Database(new SqliteDriver(':memory:'));
+
+const enqueue = (id) => db.enqueueSignal(id, 'master', { symbol: 'EURUSD', action: 'BUY', volume: 0.1 });
+
+before(async () => {
+  await db.connect();
+  await db.init();
+});
+
+after(() => db.close());
+
+test('new receivers start at the head of the queue', async () => {
+  const first = await enqueue('queue_head_1');
+  const cursor = await db.createReceiverCursor('HEAD-KEY', await db.getLatestSignalSeq());
+
+  assert.equal(cursor.acked_seq, first);
+  assert.equal(cursor.delivered_seq, first);
+  assert.deepEqual(await db.getSignalsAfter(cursor.acked_seq), []);
+});
+
+test('pending signals are returned in sequence order', async () => {
+  const start = await db.getLatestSignalSeq();
+  const seqs = [await enqueue('queue_order_1'), await enqueue('queue_order_2'), await enqueue('queue_order_3')];
+
+  const pending = await db.getSignalsAfter(start);
+  assert.deepEqual(pending.map(signal => signal.seq), seqs);
+  assert.deepEqual(pending.map(signal => signal.symbol), ['EURUSD', 'EURUSD', 'EURUSD']);
+  assert.deepEqual((await db.getSignalsAfter(start, 2)).map(signal => signal.seq), seqs.slice(0, 2));
+});
+
+test('acks never move past the delivered signal', async () => {
+  await db.createReceiverCursor('ACK-KEY', await db.getLatestSignalSeq());
+  const first = await enqueue('queue_ack_1');
+  const second = await enqueue('queue_ack_2');
+
+  await db.markSignalsDelivered('ACK-KEY', first);
+  await db.ackSignals('ACK-KEY', second);
+
+  const cursor = await db.getReceiverCursor('ACK-KEY');
+  assert.equal(cursor.acked_seq, first);
+  assert.deepEqual((await db.getSignalsAfter(cursor.acked_seq)).map(signal => signal.seq), [second]);
+});
+
+test('creating an existing cursor keeps its position', async () => {
+  await db.createReceiverCursor('KEEP-KEY', 0);
+  const seq = await enqueue('queue_keep_1');
+  await db.markSignalsDelivered('KEEP-KEY', seq);
+  await db.ackSignals('KEEP-KEY', seq);
+
+  const cursor = await db.createReceiverCursor('KEEP-KEY', 0);
+  assert.equal(cursor.acked_seq, seq);
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import LotSizing from '../sizing.js';
+
+// Lot sizing for each risk mode, and rounding to the receiver's broker limits
+
+const signal = { symbol: 'EURUSD', volume: 1, price: 1.1, sl: 1.095, masterBalance: 10000 };
+
+test('risk modes accept numbers and names', () => {
+  assert.equal(LotSizing.normalizeMode(undefined), 'multiplier');
+  assert.equal(LotSizing.normalizeMode(3), 'balance');
+  assert.equal(LotSizing.normalizeMode('RISK_PERCENT'), 'risk_percent');
+  assert.equal(LotSizing.normalizeMode('martingale'), null);
+});
+
+test('multiplier, fixed and balance sizing', () => {
+  assert.equal(LotSizing.calculate(signal, { multiplier: 0.5 }).volume, 0.5);
+  assert.equal(LotSizing.calculate(signal, { risk_mode: 'fixed', fixed_lot: 0.3 }).volume, 0.3);
+
+  const balance = LotSizing.calculate(signal, { risk_mode: 'balance', account_balance: 2500 });
+  assert.equal(balance.volume, 0.25);
+  assert.equal(balance.fallback, false);
+});
+
+test('strategies missing their inputs fall back to the multiplier', () => {
+  const sizing = LotSizing.calculate({ ...signal, masterBalance: null }, { risk_mode: 'balance', account_balance: 2500, multiplier: 2 });
+  assert.equal(sizing.fallback, true);
+  assert.equal(sizing.volume, 2);
+});
+
+test('risk percent uses the tick value in the account currency', () => {
+  // 1% of 5000 EUR = 50 EUR; 500 ticks at 0.9 EUR per tick and lot = 450 EUR per lot
+  const settings = {
+    risk_mode: 'risk_percent',
+    account_balance: 5000,
+    account_currency: 'EUR',
+    risk_percent: 1,
+    tick_values: JSON.stringify({ EURUSD: { tickSize: 0.00001, tickValue: 0.9 } })
+  };
+  const sizing = LotSizing.calculate(signal, settings);
+  assert.equal(sizing.fallback, false);
+  assert.equal(sizing.volume, 0.11);
+});
+
+test('risk percent finds specs under the receiver or the master symbol', () => {
+  const settings = {
+    risk_mode: 'risk_percent',
+    account_balance: 10000,
+    risk_percent: 1,
+    tick_values: JSON.stringify({ 'EURUSD.m': { tickSize: 0.00001, tickValue: 1 } })
+  };
+  assert.equal(LotSizing.calculate({ ...signal, symbol: 'EURUSD.m', masterSymbol: 'EURUSD' }, settings).volume, 0.2);
+});
+
+test('contract sizes are only used when the account currency is the quote currency', () => {
+  const settings = {
+    risk_mode: 'risk_percent',
+    account_balance: 10000,
+    account_currency: 'USD',
+    risk_percent: 1,
+    contract_sizes: JSON.stringify({ EURUSD: 100000 })
+  };
+  assert.equal(LotSizing.calculate(signal, settings).volume, 0.2);
+
+  const other = LotSizing.calculate(signal, { ...settings, account_currency: 'JPY' });
+  assert.equal(other.fallback, true);
+  assert.equal(other.volume, 1);
+
+  const unknown = LotSizing.calculate(signal, { ...settings, contract_sizes: null });
+  assert.equal(unknown.fallback, true);
+});
+
+test('volumes are rounded down to the lot step and capped at the maximum', () => {
+  assert.equal(LotSizing.normalizeVolume(0.379, { lot_step: 0.01 }), 0.37);
+  assert.equal(LotSizing.normalizeVolume(0.3, { lot_step: 0.1 }), 0.3);
+  assert.equal(LotSizing.normalizeVolume(7.5, { lot_step: 0.5, max_lot: 5 }), 5);
+});
+
+test('volumes below the minimum lot are refused rather than raised', () => {
+  assert.equal(LotSizing.normalizeVolume(0.05, { min_lot: 0.1 }), null);
+  assert.equal(LotSizing.normalizeVolume(0.004, {}), null);
+  assert.equal(LotSizing.calculate(signal, { multiplier: 0.05, min_lot: 0.1 }).volume, null);
+  assert.equal(LotSizing.normalizeVolume(0.1, { min_lot: 0.1 }), 0.1);
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import SymbolMapper from '../symbols.js';
+
+// Mapping master symbols to a receiver broker's names
+
+const rule = (scope, rule_type, target, source_symbol = '') => ({ scope, rule_type, source_symbol, target });
+
+test('symbols without rules are unchanged', () => {
+  assert.equal(SymbolMapper.resolve('EURUSD', []), 'EURUSD');
+  assert.equal(SymbolMapper.resolve('EURUSD'), 'EURUSD');
+});
+
+test('prefix and suffix are added together', () => {
+  const rules = [rule('broker', 'prefix', 'm.'), rule('broker', 'suffix', '.pro')];
+  assert.equal(SymbolMapper.resolve('EURUSD', rules), 'm.EURUSD.pro');
+});
+
+test('an alias replaces the symbol outright and ignores prefix and suffix', () => {
+  const rules = [rule('broker', 'suffix', '.m'), rule('broker', 'alias', 'GOLD', 'XAUUSD')];
+  assert.equal(SymbolMapper.resolve('XAUUSD', rules), 'GOLD');
+  assert.equal(SymbolMapper.resolve('EURUSD', rules), 'EURUSD.m');
+});
+
+test('aliases match the master symbol case-insensitively', () => {
+  assert.equal(SymbolMapper.resolve('xauusd', [rule('license', 'alias', 'GOLD', 'XAUUSD')]), 'GOLD');
+});
+
+test('license rules take precedence over broker rules', () => {
+  const rules = [
+    rule('broker', 'suffix', '.b'),
+    rule('license', 'suffix', '.l'),
+    rule('broker', 'alias', 'GOLD.b', 'XAUUSD'),
+    rule('license', 'alias', 'GOLD.l', 'XAUUSD')
+  ];
+  assert.equal(SymbolMapper.resolve('EURUSD', rules), 'EURUSD.l');
+  assert.equal(SymbolMapper.resolve('XAUUSD', rules), 'GOLD.l');
+});
+
+test('a broker prefix still applies next to a license suffix', () => {
+  const rules = [rule('broker', 'prefix', 'x'), rule('license', 'suffix', '.l')];
+  assert.equal(SymbolMapper.resolve('EURUSD', rules), 'xEURUSD.l');
+});